@@ -0,0 +1,245 @@
+// server/admin.js
+// The admin API, served on the game's port next to the game's WebSocket: REST under /admin/api/, a WebSocket
+// at /admin/ws that streams the server log and takes the same commands, and the admin page (admin.html) at /admin.
+// Everything but the page needs ADMIN_PASSWORD: as 'Authorization: Bearer <password>' on REST requests, or in an
+// 'auth' message sent first on the WebSocket. The API only routes and authenticates; server/game-server.js supplies
+// the actions (list players, kick, ban, change maps, ...) that work on the lobby's state.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { ADMIN_LOGIN_ATTEMPTS, ADMIN_LOCKOUT_TIME } = require('./config');
+const { getClientAddress, parseRequestUrl } = require('./requests');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+const { Lockout } = require('./lockout');
+
+const ADMIN_PAGE = path.join(__dirname, '..', 'admin.html');
+const MAX_BODY_SIZE = 16 * 1024; // Bytes accepted in a request body
+// REST routes: ':name' path segments become action params, next to the query string and the JSON body.
+// The WebSocket takes the same actions by name. Everything but GET is logged
+const ROUTES = [
+    { method: 'GET', path: '/status', action: 'getStatus' },
+    { method: 'GET', path: '/players', action: 'listPlayers' },
+    { method: 'POST', path: '/players/:playerId/kick', action: 'kickPlayer' },
+    { method: 'GET', path: '/bans', action: 'listBans' },
+    { method: 'POST', path: '/bans', action: 'ban' },
+    { method: 'DELETE', path: '/bans/:ip', action: 'unban' },
+    { method: 'PATCH', path: '/rooms/:roomId', action: 'updateRoom' },
+    { method: 'GET', path: '/settings', action: 'getSettings' },
+    { method: 'PATCH', path: '/settings', action: 'updateSettings' },
+    { method: 'POST', path: '/broadcast', action: 'broadcastMessage' },
+    { method: 'GET', path: '/logs', action: 'getLogs' }
+];
+
+class AdminServer {
+    // password: ADMIN_PASSWORD (null disables the API); actions: { [name]: (params) => result or { error, status } },
+    // see ROUTES for the names. getLogs is provided here. clock: for login lockouts (see server/clock.js)
+    constructor({ password, actions, clock = systemClock }) {
+        this.passwordDigest = password ? digest(password) : null;
+        this.actions = { ...actions, getLogs: (params) => ({ entries: logger.getRecent(Number(params.since) || 0) }) };
+        this.lockout = new Lockout({ attempts: ADMIN_LOGIN_ATTEMPTS, lockoutTime: ADMIN_LOCKOUT_TIME, clock: clock });
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.wss.on('connection', (ws, request) => this.handleConnection(ws, request));
+    }
+
+    // --- HTTP ---
+
+    handleRequest(request, response) {
+        // Returns false for requests outside /admin, which are left to the caller
+        const url = parseRequestUrl(request);
+        if (!url) {
+            sendJson(response, 400, { error: 'Invalid request URL' });
+            return true;
+        }
+        if (url.pathname === '/admin' || url.pathname === '/admin/') {
+            this.servePage(response);
+            return true;
+        }
+        if (!url.pathname.startsWith('/admin/api/')) return false;
+
+        const address = getClientAddress(request);
+        const auth = this.authenticate(address, /^Bearer (.*)$/.exec(request.headers.authorization || '')?.[1]);
+        if (auth.error) {
+            sendJson(response, auth.status, { error: auth.error });
+            return true;
+        }
+        const match = matchRoute(request.method, url.pathname.substring('/admin/api'.length));
+        if (!match) {
+            sendJson(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+            return true;
+        }
+        readJsonBody(request, (bodyError, body) => {
+            if (bodyError) {
+                sendJson(response, 400, { error: bodyError });
+                return;
+            }
+            const params = { ...Object.fromEntries(url.searchParams), ...body, ...match.params };
+            const result = this.runAction(match.route, params, address);
+            sendJson(response, result.error ? result.status || 400 : 200, result);
+        });
+        return true;
+    }
+
+    servePage(response) {
+        fs.readFile(ADMIN_PAGE, (error, data) => {
+            if (error) {
+                logger.error('admin', `Failed to read ${ADMIN_PAGE}`, { error: error });
+                response.writeHead(500);
+                response.end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(data);
+        });
+    }
+
+    close() {
+        // Drops every admin console (the HTTP server is closed by its owner)
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+    }
+
+    // --- WebSocket ---
+
+    handleUpgrade(request, socket, head) {
+        // Returns false for upgrades to anything but /admin/ws, which are left to the caller
+        if (parseRequestUrl(request)?.pathname !== '/admin/ws') return false;
+        this.wss.handleUpgrade(request, socket, head, (ws) => this.wss.emit('connection', ws, request));
+        return true;
+    }
+
+    handleConnection(ws, request) {
+        // Nothing but { type: 'auth', payload: { password } } is accepted until the password checks out. Then the
+        // socket gets the recent log, every new log entry as { type: 'log', payload }, and may send
+        // { type: 'command', payload: { id, action, params } }, answered with { type: 'result', payload: { id, ...result } }
+        const address = getClientAddress(request);
+        const send = (type, payload) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: type, payload: payload }));
+        };
+        const onLogEntry = (entry) => send('log', entry);
+        let authenticated = false;
+
+        ws.on('message', (message) => {
+            let data;
+            try {
+                data = JSON.parse(message);
+            } catch (error) {
+                send('error', { reason: `Invalid message: ${error.message}` });
+                return;
+            }
+            const payload = data?.payload || {};
+            if (!authenticated) {
+                const auth = data?.type === 'auth' ? this.authenticate(address, payload.password) : { error: 'Authenticate first' };
+                if (auth.error) {
+                    send('auth_failed', { reason: auth.error });
+                    ws.close(4001, 'Unauthorized');
+                    return;
+                }
+                authenticated = true;
+                send('auth_ok', { logs: logger.getRecent() });
+                logger.on('entry', onLogEntry);
+                return;
+            }
+            if (data.type === 'command') {
+                const route = ROUTES.find(candidate => candidate.action === payload.action);
+                const result = route ? this.runAction(route, payload.params || {}, address) : { error: `Unknown action "${payload.action}"` };
+                send('result', { id: payload.id, ...result });
+            }
+        });
+        ws.on('close', () => logger.off('entry', onLogEntry));
+        ws.on('error', () => logger.off('entry', onLogEntry));
+    }
+
+    // --- Helper Functions ---
+
+    authenticate(address, password) {
+        // Returns {} or { error, status }. Addresses that keep guessing are locked out for a while
+        if (!this.passwordDigest) {
+            return { error: 'The admin API is disabled (the server has no ADMIN_PASSWORD)', status: 503 };
+        }
+        if (this.lockout.isLockedOut(address)) {
+            return { error: 'Too many failed logins; try again later', status: 429 };
+        }
+        if (typeof password !== 'string' || !crypto.timingSafeEqual(digest(password), this.passwordDigest)) {
+            const locked = this.lockout.recordFailure(address);
+            logger.warn('admin', `Failed admin login from ${address}${locked ? ' (locked out)' : ''}`, { address: address });
+            return { error: 'Wrong admin password', status: 401 };
+        }
+        this.lockout.recordSuccess(address);
+        return {};
+    }
+
+    runAction(route, params, address) {
+        if (route.method !== 'GET') {
+            logger.info('admin', `${route.action} by ${address}`, { address: address, action: route.action, params: params });
+        }
+        try {
+            return this.actions[route.action](params) || {};
+        } catch (error) {
+            logger.error('admin', `Admin action ${route.action} failed`, { error: error });
+            return { error: 'Internal error', status: 500 };
+        }
+    }
+}
+
+function matchRoute(method, pathname) {
+    // { route, params } for the route matching the request, or null
+    const segments = pathname.split('/').filter(Boolean);
+    for (const route of ROUTES) {
+        const routeSegments = route.path.split('/').filter(Boolean);
+        if (route.method !== method || routeSegments.length !== segments.length) continue;
+        const params = {};
+        const matches = routeSegments.every((segment, i) => {
+            if (segment.startsWith(':')) {
+                params[segment.substring(1)] = decodeURIComponent(segments[i]);
+                return true;
+            }
+            return segment === segments[i];
+        });
+        if (matches) return { route: route, params: params };
+    }
+    return null;
+}
+
+function readJsonBody(request, callback) {
+    // callback(error, body): an empty body is {}
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE && !failed) {
+            failed = true;
+            callback('Request body too large');
+        }
+        if (!failed) chunks.push(chunk);
+    });
+    request.on('end', () => {
+        if (failed) return;
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (text.trim() === '') return callback(null, {});
+        try {
+            const body = JSON.parse(text);
+            if (typeof body !== 'object' || body === null || Array.isArray(body)) return callback('Expected a JSON object');
+            callback(null, body);
+        } catch (error) {
+            callback(`Invalid JSON: ${error.message}`);
+        }
+    });
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(data));
+}
+
+function digest(password) {
+    // Fixed-length digests, so timingSafeEqual can compare passwords of any length
+    return crypto.createHash('sha256').update(password).digest();
+}
+
+module.exports = {
+    AdminServer
+};
@@ -0,0 +1,59 @@
+// server/bans.js
+// Banned IP addresses, kept in a JSON file. Bans are rare, so every change is written right away.
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { logger } = require('./logger');
+
+const STORE_VERSION = 1;
+
+class BanList {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.bans = {}; // { [ip]: { ip, name, reason, time } }; name: who was playing from there, if known
+    }
+
+    load() {
+        // A missing file is an empty list
+        const data = readJsonFile(this.filePath, null);
+        if (!data) return;
+        if (data.version !== STORE_VERSION || typeof data.bans !== 'object') {
+            throw new Error(`Ban list ${this.filePath} has an unknown format`);
+        }
+        this.bans = data.bans;
+    }
+
+    isBanned(ip) {
+        return Object.prototype.hasOwnProperty.call(this.bans, ip);
+    }
+
+    add(ip, { name = null, reason = '' } = {}) {
+        const ban = { ip: ip, name: name, reason: reason, time: Date.now() };
+        this.bans[ip] = ban;
+        this.save();
+        return ban;
+    }
+
+    remove(ip) {
+        // Returns false if the address wasn't banned
+        if (!this.isBanned(ip)) return false;
+        delete this.bans[ip];
+        this.save();
+        return true;
+    }
+
+    list() {
+        // Newest first
+        return Object.values(this.bans).sort((a, b) => b.time - a.time);
+    }
+
+    save() {
+        try {
+            writeJsonFile(this.filePath, { version: STORE_VERSION, bans: this.bans });
+        } catch (error) {
+            logger.error('bans', `Failed to save bans to ${this.filePath}`, { error: error });
+        }
+    }
+}
+
+module.exports = {
+    BanList
+};
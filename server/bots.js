@@ -0,0 +1,224 @@
+// server/bots.js
+// Server-controlled players. A bot is an ordinary entry in room.players; its Bot plays it by sending the
+// same messages a client would (player_update, shoot, request_reload, switch_weapon) through
+// room.handleMessage(), so movement checks, fire rates, ammo and reloads apply to bots exactly as to people.
+const {
+    PLAYER_EYE_LEVEL, BOT_DIFFICULTIES, BOT_VIEW_DISTANCE, BOT_MOVE_SPEED, BOT_REPATH_INTERVAL, BOT_STRAFE_INTERVAL
+} = require('./config');
+const { WEAPONS } = require('./weapons');
+const { hasLineOfSight } = require('./geometry');
+
+const WAYPOINT_REACHED_DISTANCE = 0.3; // How close counts as having reached a path waypoint
+const AIM_HEIGHT = 0.4; // Bots aim this far below the target's eye (upper chest)
+
+class Bot {
+    constructor(room, playerId, difficulty) {
+        this.room = room;
+        this.playerId = playerId;
+        this.skill = BOT_DIFFICULTIES[difficulty]; // { reactionTime, aimError }
+        this.inputSeq = 0; // Numbers our player_updates like a client does
+        this.targetId = null;
+        this.targetSpottedTime = 0; // The reaction time runs from here
+        this.lastSeenTarget = null; // { x, z } where the last target was seen, to chase it after it breaks sight
+        this.path = []; // Waypoints [{ x, z }] still to walk
+        this.pathTime = 0;
+        this.strafeDirection = 1; // 1: right, -1: left
+        this.nextStrafeChange = 0;
+    }
+
+    update(now, deltaTime) {
+        // Called by the room every tick
+        const player = this.room.players[this.playerId];
+        if (!player) return;
+        if (player.health <= 0 || this.room.match.phase === 'results') {
+            this.reset();
+            return;
+        }
+
+        const target = this.findTarget(player);
+        if ((target?.id ?? null) !== this.targetId) {
+            this.targetId = target?.id ?? null;
+            this.targetSpottedTime = now;
+        }
+
+        let direction; // Horizontal unit vector to walk along, or null to stand still
+        let yaw;
+        let pitch = 0;
+        if (target) {
+            this.lastSeenTarget = { x: target.x, z: target.z };
+            this.path = [];
+            ({ yaw, pitch } = getAim(player, target));
+            if (now - this.targetSpottedTime >= this.skill.reactionTime) {
+                this.fireAt(player, target, now);
+            }
+            direction = this.strafe(player, yaw, now);
+        } else {
+            this.topUpMagazine(player);
+            direction = this.followPath(player, now);
+            yaw = direction ? Math.atan2(-direction.x, -direction.z) : player.yaw;
+        }
+        this.move(player, direction, yaw, pitch, deltaTime);
+    }
+
+    reset() {
+        // Forget the current target and path (also when the room switches maps)
+        this.targetId = null;
+        this.lastSeenTarget = null;
+        this.path = [];
+    }
+
+    findTarget(player) {
+        // The current target while it stays in sight, otherwise the closest visible enemy
+        let best = null;
+        let bestDistance = Infinity;
+        for (const id in this.room.players) {
+            const other = this.room.players[id];
+            if (id === this.playerId || other.health <= 0 || other.disconnected || (player.team && player.team === other.team)) continue;
+            const distance = distanceTo(player, other);
+            if (distance > BOT_VIEW_DISTANCE || !this.canSee(player, other)) continue;
+            if (id === this.targetId) return other;
+            if (distance < bestDistance) {
+                best = other;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    canSee(player, other) {
+        // Line of sight from our eye to the other player's head or body
+        const obstacles = this.room.obstacles;
+        return hasLineOfSight(player.x, player.y, player.z, other.x, other.y, other.z, obstacles) ||
+               hasLineOfSight(player.x, player.y, player.z, other.x, other.y - PLAYER_EYE_LEVEL / 2, other.z, obstacles);
+    }
+
+    fireAt(player, target, now) {
+        const weapon = WEAPONS[player.weapon];
+        const slot = player.inventory[player.weapon];
+        if (player.reloading) return;
+        if (slot.magazine === 0) {
+            if (slot.ammo > 0) {
+                this.send('request_reload');
+            } else {
+                // Out of ammo for this weapon: take the first one that still has some
+                const loaded = Object.keys(WEAPONS).find(id => player.inventory[id].magazine + player.inventory[id].ammo > 0);
+                if (loaded) this.send('switch_weapon', { weapon: loaded });
+            }
+            return;
+        }
+        if (now - player.lastShotTime < weapon.fireInterval) return;
+
+        // Aim error: every shot is off by up to aimError radians in each direction
+        const aim = getAim(player, target);
+        const random = this.room.random;
+        const yaw = aim.yaw + (random() * 2 - 1) * this.skill.aimError;
+        const pitch = aim.pitch + (random() * 2 - 1) * this.skill.aimError;
+        this.send('shoot', {
+            startPos: { x: player.x, y: player.y, z: player.z },
+            direction: {
+                x: -Math.sin(yaw) * Math.cos(pitch),
+                y: Math.sin(pitch),
+                z: -Math.cos(yaw) * Math.cos(pitch)
+            }
+        });
+    }
+
+    topUpMagazine(player) {
+        // Reload between fights rather than in the middle of the next one
+        const slot = player.inventory[player.weapon];
+        if (!player.reloading && slot.magazine < WEAPONS[player.weapon].magazineSize && slot.ammo > 0) {
+            this.send('request_reload');
+        }
+    }
+
+    strafe(player, yaw, now) {
+        // Sidestep while fighting, switching sides now and then or when something is in the way
+        if (now >= this.nextStrafeChange) {
+            this.strafeDirection = this.room.random() < 0.5 ? 1 : -1;
+            this.nextStrafeChange = now + BOT_STRAFE_INTERVAL * (0.5 + this.room.random());
+        }
+        const right = { x: Math.cos(yaw), z: -Math.sin(yaw) };
+        const direction = { x: right.x * this.strafeDirection, z: right.z * this.strafeDirection };
+        if (!this.room.navGrid.isWalkable(player.x + direction.x, player.z + direction.z)) {
+            this.strafeDirection = -this.strafeDirection;
+            return null;
+        }
+        return direction;
+    }
+
+    followPath(player, now) {
+        // Walk to where the target was last seen, or wander between random points of the map
+        const chasing = this.lastSeenTarget !== null;
+        if (this.path.length === 0 || (chasing && now - this.pathTime > BOT_REPATH_INTERVAL)) {
+            const goal = this.lastSeenTarget || this.room.navGrid.randomWalkablePoint(this.room.random);
+            this.path = (goal && this.room.navGrid.findPath(player.x, player.z, goal.x, goal.z)) || [];
+            this.pathTime = now;
+            if (this.path.length === 0) {
+                this.lastSeenTarget = null; // Unreachable: give up on it
+                return null;
+            }
+        }
+
+        let waypoint = this.path[0];
+        while (distanceTo(player, waypoint) < WAYPOINT_REACHED_DISTANCE) {
+            this.path.shift();
+            if (this.path.length === 0) {
+                this.lastSeenTarget = null; // Arrived; nobody here, so go back to wandering
+                return null;
+            }
+            waypoint = this.path[0];
+        }
+        const dx = waypoint.x - player.x;
+        const dz = waypoint.z - player.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        return { x: dx / length, z: dz / length };
+    }
+
+    move(player, direction, yaw, pitch, deltaTime) {
+        // Steps along 'direction' (if any) and reports the new position and facing like a client would
+        let x = player.x;
+        let z = player.z;
+        if (direction) {
+            const step = Math.min(BOT_MOVE_SPEED * deltaTime, this.path[0] ? distanceTo(player, this.path[0]) : Infinity);
+            const nextX = x + direction.x * step;
+            const nextZ = z + direction.z * step;
+            const navGrid = this.room.navGrid;
+            // A bot standing somewhere unwalkable (e.g. spawned against a box) may still walk out of it
+            if (navGrid.isWalkable(nextX, nextZ) || !navGrid.isWalkable(x, z)) {
+                x = nextX;
+                z = nextZ;
+            } else {
+                this.path = []; // Something's in the way: plan again next tick
+            }
+        }
+        this.send('player_update', {
+            position: { x: x, y: PLAYER_EYE_LEVEL, z: z },
+            rotation: { pitch: pitch, yaw: yaw },
+            correctionSeq: player.correctionSeq, // A correction snaps us back; just carry on from there
+            seq: ++this.inputSeq
+        });
+    }
+
+    send(type, payload = {}) {
+        this.room.handleMessage(this.playerId, { type: type, payload: payload });
+    }
+}
+
+function getAim(player, target) {
+    // Yaw and pitch from the player's eye to the target's upper chest (yaw 0 looks down -Z, like the client camera)
+    const dx = target.x - player.x;
+    const dy = target.y - AIM_HEIGHT - player.y;
+    const dz = target.z - player.z;
+    return {
+        yaw: Math.atan2(-dx, -dz),
+        pitch: Math.atan2(dy, Math.sqrt(dx * dx + dz * dz))
+    };
+}
+
+function distanceTo(player, point) {
+    return Math.sqrt((point.x - player.x) ** 2 + (point.z - player.z) ** 2);
+}
+
+module.exports = {
+    Bot
+};
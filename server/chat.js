@@ -0,0 +1,32 @@
+// server/chat.js
+// Chat helpers: profanity filtering and slash-command parsing. Rooms relay the messages and run the commands.
+
+// Matched as whole words (with a few common letter swaps and endings), case-insensitively: 'Dickens' is fine
+const PROFANITY = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'wanker', 'twat', 'slut', 'whore'];
+const LETTER_SWAPS = { a: '[a@4]', e: '[e3]', i: '[i1!]', o: '[o0]', s: '[s$5]', t: '[t7]' };
+const PROFANITY_ENDINGS = ['s', 'es', 'ed', 'er', 'ers', 'ing', 'y'];
+const PROFANITY_PATTERN = new RegExp(
+    `\\b(${PROFANITY.map(word => [...word].map(c => LETTER_SWAPS[c] || c).join('')).join('|')})(${PROFANITY_ENDINGS.join('|')})?\\b`,
+    'gi'
+);
+
+function filterProfanity(text) {
+    // Replaces each offending word with asterisks of the same length
+    return text.replace(PROFANITY_PATTERN, word => '*'.repeat(word.length));
+}
+
+function containsProfanity(text) {
+    return filterProfanity(text) !== text;
+}
+
+function parseCommand(text) {
+    // '/kick Player_ab12 spamming' -> { name: 'kick', args: ['Player_ab12', 'spamming'] }
+    const [name, ...args] = text.slice(1).trim().split(/\s+/);
+    return { name: name.toLowerCase(), args: args };
+}
+
+module.exports = {
+    filterProfanity,
+    containsProfanity,
+    parseCommand
+};
@@ -0,0 +1,78 @@
+// server/clock.js
+// Time for the simulation. Rooms and the lobby read the time and set their timers through a clock instead of
+// calling Date.now() and setTimeout() directly, so tests can run them on a ManualClock and step through time.
+
+// Wall-clock time and Node's timers: what the server runs on
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer),
+    setInterval: (callback, interval) => setInterval(callback, interval),
+    clearInterval: (timer) => clearInterval(timer)
+};
+
+class ManualClock {
+    // Time only moves when advance() is called. Timers fire in the order they come due, each with now()
+    // set to its due time, so a room's tick interval runs exactly once per tick length advanced
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = new Map(); // Map<timer id, { dueTime, interval, callback }>; interval is null for timeouts
+        this.timerIdCounter = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    clearTimeout(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    setInterval(callback, interval) {
+        return this.addTimer(callback, interval, interval);
+    }
+
+    clearInterval(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    addTimer(callback, delay, interval) {
+        const timerId = ++this.timerIdCounter;
+        this.timers.set(timerId, { dueTime: this.time + Math.max(0, delay || 0), interval: interval, callback: callback });
+        return timerId;
+    }
+
+    advance(ms) {
+        // Move time forward by ms, running every timer that comes due on the way (timers set by a callback included)
+        const endTime = this.time + ms;
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            for (const [timerId, timer] of this.timers) {
+                // Timers due at the same time run in the order they were set
+                if (timer.dueTime <= endTime && (!next || timer.dueTime < next.dueTime)) {
+                    nextId = timerId;
+                    next = timer;
+                }
+            }
+            if (!next) break;
+            this.time = next.dueTime;
+            if (next.interval === null) {
+                this.timers.delete(nextId);
+            } else {
+                next.dueTime += Math.max(1, next.interval);
+            }
+            next.callback();
+        }
+        this.time = endTime;
+    }
+}
+
+module.exports = {
+    systemClock,
+    ManualClock
+};
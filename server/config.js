@@ -0,0 +1,244 @@
+// server/config.js
+// Gameplay, pickup, anti-cheat, lag compensation, match, room, bot, replay and admin constants shared by every room
+const path = require('path');
+
+// --- Constants ---
+const PORT = Number(process.env.PORT ?? 8080);
+const START_HEALTH = 100;
+const PLAYER_RADIUS = 0.4; // Radius for player-player physics/collision
+const PLAYER_HEIGHT = 1.8;
+const PROJECTILE_LIFETIME = 2000; // ms
+const RESPAWN_TIME = 3000; // ms - 3 seconds
+const INACTIVITY_TIMEOUT = 30000; // ms (30 seconds)
+const TICK_RATE = Number(process.env.TICK_RATE ?? 30); // Target ticks per second (simulation)
+const MAX_TICK_RATE = 120; // Upper bound for TICK_RATE, also when changed at runtime
+const PLAYER_EYE_LEVEL = 1.6; // Reported player Y (camera height above the ground)
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const MAP_FILE = process.env.MAP_FILE || path.join(MAPS_DIR, 'default.json'); // Default map for new rooms
+
+// --- Pickup Constants ---
+const PICKUP_TYPES = {
+    // amount: health points, armor points, or magazines of reserve ammo for every weapon (up to its starting reserve)
+    // respawnTime: ms before a taken pickup is back on its spawn point
+    health: { name: 'Health Pack', amount: 25, respawnTime: 15000 },
+    ammo: { name: 'Ammo Box', amount: 2, respawnTime: 20000 },
+    armor: { name: 'Armor', amount: 50, respawnTime: 30000 }
+};
+const PICKUP_RADIUS = 1.0; // Horizontal distance at which a player collects a pickup
+const MAX_ARMOR = 100;
+const ARMOR_ABSORPTION = 0.5; // Share of each hit's damage taken by armor while it lasts
+
+// --- Snapshot Constants ---
+const SEND_RATE = Number(process.env.SEND_RATE ?? 20); // game_state snapshots per second sent to each client
+const SNAPSHOT_HISTORY_SIZE = 32; // Unacknowledged snapshots kept per client; older acks fall back to a full snapshot
+const INTEREST_RADIUS = 40; // Players further away than this are left out of a client's snapshot
+const INTEREST_ALWAYS_RADIUS = 8; // Players this close are always included, even behind cover
+const BANDWIDTH_LOG_INTERVAL = 10000; // ms between bandwidth reports per room
+
+// --- Anti-cheat Constants ---
+const PLAYER_MAX_SPEED = 5.0; // Client walking speed (units per second)
+const MOVE_SPEED_TOLERANCE = 1.5; // Multiplier on max speed to absorb timing jitter
+const MOVE_DISTANCE_TOLERANCE = 0.5; // Extra distance allowed per update (packets arriving in bursts)
+const MAX_JUMP_HEIGHT = 1.6; // Client jump peaks at ~1.56 above eye level (7.5^2 / (2 * 18))
+const GROUND_TOLERANCE = 0.05; // How far below eye level a reported Y may be
+const OBSTACLE_TOLERANCE = 0.05; // Collider shrink so players touching a box are not flagged
+const SHOOT_ORIGIN_TOLERANCE = 1.5; // Max distance between shot origin and shooter's eye
+const DIRECTION_LENGTH_TOLERANCE = 0.05; // Allowed deviation of shot direction length from 1
+const VIOLATION_KICK_THRESHOLD = 10; // Violation score at which a player is kicked
+const VIOLATION_DECAY_RATE = 0.5; // Violation score forgiven per second of clean play
+
+// --- Lag Compensation Constants ---
+const MAX_REWIND_MS = Number(process.env.MAX_REWIND_MS ?? 200); // Max how far back in time hits are evaluated
+const INTERPOLATION_SNAPSHOTS = 2; // Clients draw remote players this many snapshot intervals in the past
+const POSITION_HISTORY_MS = 1000; // How much position history is kept per player
+const POSITION_HISTORY_SIZE = Math.ceil(POSITION_HISTORY_MS / (1000 / MAX_TICK_RATE)) + 1; // Samples per ring buffer
+const PING_INTERVAL = 1000; // ms between ping messages sent to each client
+const RTT_SMOOTHING = 0.25; // Weight of a new RTT sample in the smoothed ping
+
+// --- Match Constants ---
+const GAME_MODES = {
+    ffa: { name: 'Deathmatch', teams: false, scoreLimit: 20 }, // Score: player kills
+    tdm: { name: 'Team Deathmatch', teams: true, scoreLimit: 50 }, // Score: team kills
+    ctf: { name: 'Capture the Flag', teams: true, scoreLimit: 3 } // Score: flag captures
+};
+const TEAMS = ['red', 'blue'];
+const GAME_MODE = process.env.GAME_MODE || 'ffa'; // Default mode for new rooms
+const MIN_PLAYERS_TO_START = 2; // Warmup countdown holds until this many players are connected
+const WARMUP_DURATION = 15000; // ms
+const ROUND_DURATION = 5 * 60 * 1000; // ms
+const RESULTS_DURATION = 10000; // ms the end-of-round results screen is shown
+const FLAG_TOUCH_RADIUS = 1.2; // Horizontal distance for flag pickup, return and capture
+const FLAG_RETURN_TIME = 20000; // ms a dropped flag stays on the ground before returning home
+
+// --- Room Constants ---
+const MAX_ROOMS = 20; // Rooms hosted by one server process
+const MAX_ROOM_NAME_LENGTH = 24;
+const MAX_PASSWORD_LENGTH = 32;
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_PLAYERS_LIMIT = 16; // Upper bound for a room's max players setting
+const MAX_SPECTATORS = 8; // Per room; spectators don't take player slots
+
+// --- Bot Constants ---
+const BOT_DIFFICULTIES = {
+    // reactionTime: ms between spotting a target and the first shot; aimError: max radians off target per shot
+    easy: { name: 'Easy', reactionTime: 900, aimError: 0.12 },
+    normal: { name: 'Normal', reactionTime: 500, aimError: 0.06 },
+    hard: { name: 'Hard', reactionTime: 250, aimError: 0.025 }
+};
+const BOT_DIFFICULTY = process.env.BOT_DIFFICULTY || 'normal'; // Default for new rooms; 'off' for no bots
+const BOT_FILL_PLAYERS = Number(process.env.BOT_FILL_PLAYERS ?? 4); // Rooms with bots are topped up to this many players
+const BOT_NAMES = ['Bot_Ada', 'Bot_Boris', 'Bot_Cleo', 'Bot_Dex', 'Bot_Edda', 'Bot_Finn', 'Bot_Greta', 'Bot_Hugo',
+    'Bot_Iris', 'Bot_Jonas', 'Bot_Kira', 'Bot_Lev', 'Bot_Mira', 'Bot_Nils', 'Bot_Olga', 'Bot_Pavel'];
+const BOT_VIEW_DISTANCE = 40; // Bots don't notice enemies further away than this
+const BOT_MOVE_SPEED = PLAYER_MAX_SPEED * 0.9; // A little under the limit so movement checks never flag a bot
+const BOT_REPATH_INTERVAL = 3000; // ms before a bot chasing a moving target plans a new path
+const BOT_STRAFE_INTERVAL = 1200; // ms between strafe direction changes while fighting
+const NAV_CELL_SIZE = 0.5; // Size of the walkable grid bots plan paths on
+
+// --- Chat Constants ---
+const CHAT_MAX_LENGTH = 200; // Characters; longer messages are cut
+const CHAT_RATE_LIMIT = 5; // Messages (and commands) allowed per CHAT_RATE_WINDOW
+const CHAT_RATE_WINDOW = 5000; // ms
+const MIN_NAME_LENGTH = 3;
+const MAX_NAME_LENGTH = 16;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null; // Enables '/login <password>' for the admin role and the admin API
+
+// --- Profile Constants ---
+const PROFILES_FILE = process.env.PROFILES_FILE || path.join(__dirname, '..', 'data', 'profiles.json');
+const PROFILE_SAVE_DELAY = 2000; // ms; profile changes are batched into one write
+const MIN_SECRET_LENGTH = 4;
+const MAX_SECRET_LENGTH = 64;
+const PROFILE_SIGN_IN_ATTEMPTS = 5; // Failed sign-ins and new profiles allowed per address before it's locked out
+const PROFILE_LOCKOUT_TIME = 60000; // ms
+const LEADERBOARD_SIZE = 10;
+
+// --- Replay Constants ---
+const REPLAYS_DIR = process.env.REPLAYS_DIR || path.join(__dirname, '..', 'data', 'replays');
+const RECORD_MATCHES = process.env.RECORD_MATCHES !== 'false'; // Save a recording of every round played
+const MAX_REPLAYS = 50; // The oldest recordings are deleted beyond this many
+const KILLCAM_DURATION = 2500; // ms of the attacker's view shown on the death screen; shorter than RESPAWN_TIME
+
+// --- Session Constants ---
+const RECONNECT_GRACE_PERIOD = 30000; // ms a dropped player's slot (and session token) is kept for them to reconnect
+
+// --- Admin Constants ---
+// Gameplay constants the admin API can change while the server runs. Rooms read the current values from
+// runtimeSettings; SETTING_LIMITS holds the accepted range of each (ms, or Hz for the rates)
+const runtimeSettings = { RESPAWN_TIME, INACTIVITY_TIMEOUT, TICK_RATE, SEND_RATE, ROUND_DURATION };
+const SETTING_LIMITS = {
+    RESPAWN_TIME: { min: 500, max: 30000 },
+    INACTIVITY_TIMEOUT: { min: 5000, max: 600000 },
+    TICK_RATE: { min: 10, max: MAX_TICK_RATE },
+    SEND_RATE: { min: 1, max: 60 },
+    ROUND_DURATION: { min: 30000, max: 60 * 60 * 1000 }
+};
+const BANS_FILE = process.env.BANS_FILE || path.join(__dirname, '..', 'data', 'bans.json');
+const ADMIN_LOGIN_ATTEMPTS = 5; // Failed admin logins allowed per address before it's locked out
+const ADMIN_LOCKOUT_TIME = 60000; // ms
+const ADMIN_MESSAGE_MAX_LENGTH = 200; // Characters in a server-wide broadcast message
+
+// --- Log Constants ---
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text'; // 'json': one JSON object per line on stdout/stderr
+const LOG_HISTORY_SIZE = 1000; // Recent log entries kept for the admin console
+
+if (BOT_DIFFICULTY !== 'off' && !BOT_DIFFICULTIES[BOT_DIFFICULTY]) {
+    throw new Error(`Unknown BOT_DIFFICULTY "${BOT_DIFFICULTY}" (expected 'off' or one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')})`);
+}
+for (const name in SETTING_LIMITS) {
+    const { min, max } = SETTING_LIMITS[name];
+    if (!(runtimeSettings[name] >= min && runtimeSettings[name] <= max)) {
+        throw new Error(`${name} must be between ${min} and ${max} (got ${runtimeSettings[name]})`);
+    }
+}
+if (!GAME_MODES[GAME_MODE]) {
+    throw new Error(`Unknown GAME_MODE "${GAME_MODE}" (expected one of: ${Object.keys(GAME_MODES).join(', ')})`);
+}
+
+module.exports = {
+    PORT,
+    START_HEALTH,
+    PLAYER_RADIUS,
+    PLAYER_HEIGHT,
+    PROJECTILE_LIFETIME,
+    RESPAWN_TIME,
+    INACTIVITY_TIMEOUT,
+    TICK_RATE,
+    PLAYER_EYE_LEVEL,
+    MAPS_DIR,
+    MAP_FILE,
+    PICKUP_TYPES,
+    PICKUP_RADIUS,
+    MAX_ARMOR,
+    ARMOR_ABSORPTION,
+    SEND_RATE,
+    SNAPSHOT_HISTORY_SIZE,
+    INTEREST_RADIUS,
+    INTEREST_ALWAYS_RADIUS,
+    BANDWIDTH_LOG_INTERVAL,
+    PLAYER_MAX_SPEED,
+    MOVE_SPEED_TOLERANCE,
+    MOVE_DISTANCE_TOLERANCE,
+    MAX_JUMP_HEIGHT,
+    GROUND_TOLERANCE,
+    OBSTACLE_TOLERANCE,
+    SHOOT_ORIGIN_TOLERANCE,
+    DIRECTION_LENGTH_TOLERANCE,
+    VIOLATION_KICK_THRESHOLD,
+    VIOLATION_DECAY_RATE,
+    MAX_REWIND_MS,
+    INTERPOLATION_SNAPSHOTS,
+    POSITION_HISTORY_MS,
+    POSITION_HISTORY_SIZE,
+    PING_INTERVAL,
+    RTT_SMOOTHING,
+    GAME_MODES,
+    TEAMS,
+    GAME_MODE,
+    MIN_PLAYERS_TO_START,
+    WARMUP_DURATION,
+    ROUND_DURATION,
+    RESULTS_DURATION,
+    FLAG_TOUCH_RADIUS,
+    FLAG_RETURN_TIME,
+    MAX_ROOMS,
+    MAX_ROOM_NAME_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    DEFAULT_MAX_PLAYERS,
+    MAX_PLAYERS_LIMIT,
+    MAX_SPECTATORS,
+    BOT_DIFFICULTIES,
+    BOT_DIFFICULTY,
+    BOT_FILL_PLAYERS,
+    BOT_NAMES,
+    BOT_VIEW_DISTANCE,
+    BOT_MOVE_SPEED,
+    BOT_REPATH_INTERVAL,
+    BOT_STRAFE_INTERVAL,
+    NAV_CELL_SIZE,
+    CHAT_MAX_LENGTH,
+    CHAT_RATE_LIMIT,
+    CHAT_RATE_WINDOW,
+    MIN_NAME_LENGTH,
+    MAX_NAME_LENGTH,
+    ADMIN_PASSWORD,
+    PROFILES_FILE,
+    PROFILE_SAVE_DELAY,
+    MIN_SECRET_LENGTH,
+    MAX_SECRET_LENGTH,
+    PROFILE_SIGN_IN_ATTEMPTS,
+    PROFILE_LOCKOUT_TIME,
+    LEADERBOARD_SIZE,
+    REPLAYS_DIR,
+    RECORD_MATCHES,
+    MAX_REPLAYS,
+    KILLCAM_DURATION,
+    RECONNECT_GRACE_PERIOD,
+    runtimeSettings,
+    SETTING_LIMITS,
+    BANS_FILE,
+    ADMIN_LOGIN_ATTEMPTS,
+    ADMIN_LOCKOUT_TIME,
+    ADMIN_MESSAGE_MAX_LENGTH,
+    LOG_FORMAT,
+    LOG_HISTORY_SIZE
+};
@@ -0,0 +1,738 @@
+// server/game-server.js
+// The game server: accepts WebSocket connections and runs the lobby. Each match is a Room (server/room.js)
+// with its own players, map, settings and tick loop; connections move between the lobby and rooms.
+// The same port serves the admin API and page (server/admin.js), whose actions are defined here.
+// Nothing runs until listen() is called: server.js starts one on PORT, the tests (test/) start theirs
+// on a ManualClock with a seeded random() and step it tick by tick.
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const Room = require('./room');
+const { loadMaps } = require('./map');
+const { ProfileStore, getPublicStats } = require('./profiles');
+const { BanList } = require('./bans');
+const { getClientAddress, parseRequestUrl } = require('./requests');
+const { AdminServer } = require('./admin');
+const { Lockout } = require('./lockout');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+const { isValidPlayerName } = require('./validation');
+const {
+    PORT, GAME_MODES, GAME_MODE,
+    MAX_ROOMS, MAX_ROOM_NAME_LENGTH, MAX_PASSWORD_LENGTH, DEFAULT_MAX_PLAYERS, MAX_PLAYERS_LIMIT,
+    BOT_DIFFICULTIES, BOT_DIFFICULTY, RECORD_MATCHES,
+    RECONNECT_GRACE_PERIOD, PROFILES_FILE, MIN_NAME_LENGTH, MAX_NAME_LENGTH, MIN_SECRET_LENGTH, MAX_SECRET_LENGTH,
+    PROFILE_SIGN_IN_ATTEMPTS, PROFILE_LOCKOUT_TIME,
+    ADMIN_PASSWORD, BANS_FILE, ADMIN_MESSAGE_MAX_LENGTH, runtimeSettings, SETTING_LIMITS
+} = require('./config');
+
+function createGameServer({
+    port = PORT,
+    clock = systemClock, // now() and timers (see server/clock.js)
+    random = Math.random, // Random numbers for ids and rooms (see server/random.js)
+    maps = null, // { [mapId]: map } to host instead of the maps directory, with defaultMapId naming one of them
+    defaultMapId = null,
+    profilesFile = PROFILES_FILE,
+    bansFile = BANS_FILE,
+    adminPassword = ADMIN_PASSWORD, // null disables the admin API
+    recordMatches = RECORD_MATCHES
+} = {}) {
+    // --- Maps ---
+    // Loaded once at startup
+    if (!maps) {
+        ({ maps, defaultMapId } = loadMaps());
+    }
+    for (const mapId in maps) {
+        const map = maps[mapId];
+        logger.info('server', `Loaded map "${map.name}" [${mapId}] (${map.boxes.length} boxes, ${map.spawnPoints.length} spawn points)`);
+    }
+
+    // --- Profiles and Bans ---
+    const profiles = new ProfileStore(profilesFile, clock);
+    profiles.load();
+    logger.info('server', `Loaded ${Object.keys(profiles.profiles).length} player profiles from ${profilesFile}`);
+    const bans = new BanList(bansFile);
+    bans.load();
+    logger.info('server', `Loaded ${bans.list().length} bans from ${bansFile}`);
+
+    let rooms = new Map(); // Map<roomId, Room>
+    let connections = new Map(); // Map<WebSocket, { id, name, address, room, binary, token, ws, graceTimer, profile, signingIn, kicked }>; room is null while in the lobby
+    let sessions = new Map(); // Map<token, connection>: includes dropped connections that may still resume
+    // Failed profile sign-ins and new profiles, per address
+    const signInLockout = new Lockout({ attempts: PROFILE_SIGN_IN_ATTEMPTS, lockoutTime: PROFILE_LOCKOUT_TIME, clock: clock });
+    const startTime = clock.now();
+
+    // --- HTTP Server ---
+    // Upgrades to /admin/ws and requests under /admin go to the admin API; every other upgrade is a game client
+    const admin = new AdminServer({
+        password: adminPassword,
+        clock: clock,
+        actions: {
+            getStatus: getServerStatus,
+            listPlayers: listPlayers,
+            kickPlayer: adminKickPlayer,
+            listBans: () => ({ bans: bans.list() }),
+            ban: adminBan,
+            unban: adminUnban,
+            updateRoom: adminUpdateRoom,
+            getSettings: getSettings,
+            updateSettings: adminUpdateSettings,
+            broadcastMessage: adminBroadcastMessage
+        }
+    });
+    const server = http.createServer((request, response) => {
+        if (!admin.handleRequest(request, response)) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+        }
+    });
+    const wss = new WebSocket.Server({ noServer: true });
+    server.on('upgrade', (request, socket, head) => {
+        if (!parseRequestUrl(request)) {
+            socket.destroy(); // Nothing to route on
+            return;
+        }
+        if (admin.handleUpgrade(request, socket, head)) return;
+        wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request));
+    });
+
+    wss.on('connection', (ws, request) => {
+        const address = getClientAddress(request);
+        if (bans.isBanned(address)) {
+            ws.send(JSON.stringify({ type: 'kicked', payload: { reason: 'You are banned from this server' } }));
+            ws.close(4003, 'Banned');
+            logger.info('server', `Refused connection from banned address ${address}.`, { address: address });
+            return;
+        }
+        const params = parseRequestUrl(request).searchParams; // Checked on upgrade
+        // Clients opt into binary game_state snapshots by connecting with ?encoding=binary
+        const binary = params.get('encoding') === 'binary';
+        // ...and resume a dropped connection with ?session=<token from 'init'>
+        const token = params.get('session');
+        let connection = token ? sessions.get(token) : undefined;
+        if (connection && !connection.kicked) {
+            resumeSession(ws, connection, binary, address);
+        } else {
+            if (token) {
+                ws.send(JSON.stringify({ type: 'session_expired', payload: {} }));
+            }
+            const playerId = generateUniqueId();
+            connection = {
+                id: playerId,
+                name: `Player_${playerId.substring(0, 4)}`,
+                address: address,
+                room: null,
+                binary: binary,
+                token: crypto.randomBytes(24).toString('hex'),
+                ws: ws,
+                graceTimer: null,
+                profile: null, // Lowercase profile name once signed in (guests' stats aren't kept)
+                signingIn: false, // A profile sign-in is being checked
+                kicked: false // Kicked or banned; the session goes once the socket has closed
+            };
+            sessions.set(connection.token, connection);
+            connections.set(ws, connection);
+            logger.info('server', `Player ${connection.name} (${connection.id}) connected from ${address}.`, { playerId: connection.id, address: address });
+
+            // New connections start in the lobby with the current room list
+            sendRoomList(ws);
+        }
+        const playerId = connection.id;
+
+        // Handle messages received from the client
+        ws.on('message', (message) => {
+            try {
+                const data = JSON.parse(message);
+                switch (data.type) {
+                    case 'list_rooms':
+                        sendRoomList(ws);
+                        break;
+                    case 'create_room':
+                        handleCreateRoom(ws, connection, data.payload || {});
+                        break;
+                    case 'join_room':
+                        handleJoinRoom(ws, connection, data.payload || {});
+                        break;
+                    case 'profile_sign_in':
+                        handleProfileSignIn(ws, connection, data.payload || {});
+                        break;
+                    case 'get_leaderboard':
+                        ws.send(JSON.stringify({ type: 'leaderboard', payload: profiles.getLeaderboard(data.payload?.sortBy) }));
+                        break;
+                    case 'leave_room':
+                        if (connection.room) {
+                            ws.send(JSON.stringify({ type: 'room_left', payload: {} }));
+                            leaveRoom(connection, 'left the room'); // Back in the lobby: the room list update follows
+                        }
+                        break;
+                    default:
+                        // Everything else is gameplay and belongs to the player's room
+                        if (connection.room) {
+                            connection.room.handleMessage(playerId, data);
+                        }
+                }
+            } catch (error) {
+                logger.error('server', `Error processing message from ${connection.name}`, { playerId: playerId, error: error, data: message.toString() });
+            }
+        });
+
+        // Handle client disconnection
+        ws.on('close', () => {
+            handleDisconnect(ws, "disconnected");
+        });
+
+        // Handle WebSocket errors
+        ws.on('error', (error) => {
+            logger.error('server', `WebSocket error for player ${connection.name} (${playerId})`, { playerId: playerId, error: error });
+            handleDisconnect(ws, "encountered an error"); // Treat error as disconnect
+        });
+    });
+
+    // --- Lobby Functions ---
+
+    function handleCreateRoom(ws, connection, payload) {
+        if (connection.room) {
+            return sendRoomError(ws, 'Leave your current room first');
+        }
+        if (rooms.size >= MAX_ROOMS) {
+            return sendRoomError(ws, 'The server is hosting the maximum number of rooms');
+        }
+
+        const name = typeof payload.name === 'string' ? payload.name.trim().substring(0, MAX_ROOM_NAME_LENGTH) : '';
+        const mode = payload.mode || GAME_MODE;
+        const mapId = payload.map || defaultMapId;
+        const maxPlayers = payload.maxPlayers === undefined ? DEFAULT_MAX_PLAYERS : Number(payload.maxPlayers);
+        const password = typeof payload.password === 'string' && payload.password !== '' ? payload.password : null;
+        const bots = payload.bots || BOT_DIFFICULTY; // A difficulty, or 'off'
+
+        const mapError = checkMapAndMode(mapId, mode);
+        if (mapError) {
+            return sendRoomError(ws, mapError);
+        }
+        if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_PLAYERS_LIMIT) {
+            return sendRoomError(ws, `Max players must be between 1 and ${MAX_PLAYERS_LIMIT}`);
+        }
+        if (password !== null && password.length > MAX_PASSWORD_LENGTH) {
+            return sendRoomError(ws, `Password can be at most ${MAX_PASSWORD_LENGTH} characters`);
+        }
+        if (bots !== 'off' && !Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, bots)) {
+            return sendRoomError(ws, `Unknown bot difficulty "${bots}"`);
+        }
+
+        const room = new Room({
+            id: generateUniqueId(),
+            name: name || `${connection.name}'s room`,
+            map: maps[mapId],
+            mode: mode,
+            maxPlayers: maxPlayers,
+            password: password,
+            isNameTaken: isNameTaken, // Names are unique across the whole server
+            botDifficulty: bots === 'off' ? null : bots,
+            clock: clock,
+            random: random,
+            recordMatches: recordMatches,
+            adminPassword: adminPassword
+        });
+        rooms.set(room.id, room);
+        // Empty rooms shut down; any change is pushed to everyone browsing the lobby
+        room.on('empty', () => closeRoom(room));
+        room.on('players_changed', broadcastRoomList);
+        room.on('player_renamed', (renamedId, newName) => {
+            const renamed = findSessionById(renamedId);
+            if (renamed) renamed.name = newName;
+        });
+        room.on('player_stats', (playerId, stats) => {
+            const session = findSessionById(playerId);
+            if (session?.profile) profiles.recordStats(session.profile, stats);
+        });
+        room.start();
+        logger.info('server', `Room "${room.name}" (${room.id}) created by ${connection.name}.`, { roomId: room.id });
+
+        // The creator joins right away (and knows the password), as the room's admin; possibly just to watch the bots
+        joinRoom(ws, connection, room, 'admin', payload.spectate === true);
+    }
+
+    function handleJoinRoom(ws, connection, payload) {
+        const room = rooms.get(payload.roomId);
+        if (connection.room) {
+            return sendRoomError(ws, 'Leave your current room first');
+        }
+        if (!room) {
+            return sendRoomError(ws, 'That room no longer exists');
+        }
+        if (room.password !== null && payload.password !== room.password) {
+            return sendRoomError(ws, 'Wrong password');
+        }
+        // Spectators don't take player slots, but there are only so many of them
+        const spectate = payload.spectate === true;
+        if (spectate ? room.isFullOfSpectators() : room.isFull()) {
+            return sendRoomError(ws, spectate ? 'That room has enough spectators' : 'That room is full');
+        }
+        joinRoom(ws, connection, room, 'player', spectate);
+    }
+
+    function joinRoom(ws, connection, room, role = 'player', spectate = false) {
+        connection.room = room;
+        // Sends 'init' with the room's state and the session token
+        const options = { binary: connection.binary, sessionToken: connection.token, role: role };
+        if (spectate) {
+            room.addSpectator(connection.id, connection.name, ws, options);
+        } else {
+            room.addPlayer(connection.id, connection.name, ws, options);
+        }
+    }
+
+    function leaveRoom(connection, reason) {
+        const room = connection.room;
+        connection.room = null;
+        room.removePlayer(connection.id, reason); // May close the room if this was the last player
+    }
+
+    function closeRoom(room) {
+        room.stop();
+        rooms.delete(room.id);
+        logger.info('server', `Room "${room.name}" (${room.id}) closed (empty). Rooms open: ${rooms.size}`, { roomId: room.id });
+        broadcastRoomList();
+    }
+
+    function getRoomList() {
+        return {
+            rooms: [...rooms.values()].map(room => room.getSummary()),
+            // Options for the lobby's create form
+            maps: Object.keys(maps).map(mapId => ({ id: mapId, name: maps[mapId].name, flags: !!maps[mapId].flagBases })),
+            modes: Object.keys(GAME_MODES).map(modeId => ({ id: modeId, name: GAME_MODES[modeId].name })),
+            botDifficulties: Object.keys(BOT_DIFFICULTIES).map(difficulty => ({ id: difficulty, name: BOT_DIFFICULTIES[difficulty].name })),
+            defaults: {
+                map: defaultMapId, mode: GAME_MODE, bots: BOT_DIFFICULTY,
+                maxPlayers: DEFAULT_MAX_PLAYERS, maxPlayersLimit: MAX_PLAYERS_LIMIT
+            }
+        };
+    }
+
+    function sendRoomList(ws) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'room_list', payload: getRoomList() }));
+        }
+    }
+
+    function broadcastRoomList() {
+        // Only connections browsing the lobby need the list
+        const messageString = JSON.stringify({ type: 'room_list', payload: getRoomList() });
+        connections.forEach((connection, client) => {
+            if (!connection.room && client.readyState === WebSocket.OPEN) {
+                client.send(messageString);
+            }
+        });
+    }
+
+    function sendRoomError(ws, reason) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'room_error', payload: { reason: reason } }));
+        }
+    }
+
+    // --- Profile Functions ---
+
+    function handleProfileSignIn(ws, connection, payload) {
+        // Signing in (or registering an unknown name) takes the profile's name; only from the lobby,
+        // so a room never sees a player's name change under it
+        const name = typeof payload.name === 'string' ? payload.name.trim() : '';
+        const secret = typeof payload.secret === 'string' ? payload.secret : '';
+        const fail = (reason) => ws.send(JSON.stringify({ type: 'profile_error', payload: { reason: reason } }));
+
+        if (connection.room) {
+            return fail('Sign in from the lobby');
+        }
+        if (!isValidPlayerName(name)) {
+            return fail(`Names are ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} letters, digits, '_' or '-'`);
+        }
+        if (secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+            return fail(`Secrets are ${MIN_SECRET_LENGTH}-${MAX_SECRET_LENGTH} characters`);
+        }
+        if (connection.signingIn) {
+            return fail('Already signing in');
+        }
+        // Guessing secrets and registering name after name are limited per address, like admin logins
+        if (signInLockout.isLockedOut(connection.address)) {
+            return fail('Too many attempts; try again later');
+        }
+        if (isNameInUse(connection, name)) {
+            return fail('That name is in use right now');
+        }
+        connection.signingIn = true;
+        profiles.signIn(name, secret, (result) => {
+            connection.signingIn = false;
+            if (result.error || result.created) {
+                if (signInLockout.recordFailure(connection.address)) {
+                    logger.warn('server', `Too many profile sign-ins from ${connection.address} (locked out)`, { address: connection.address });
+                }
+            } else {
+                signInLockout.recordSuccess(connection.address);
+            }
+            if (connection.ws !== ws || ws.readyState !== WebSocket.OPEN) return; // Gone while the secret was checked
+            if (result.error) {
+                return fail(result.error);
+            }
+            // Things may have changed while the secret was checked
+            if (connection.room) {
+                return fail('Sign in from the lobby');
+            }
+            if (isNameInUse(connection, name)) {
+                return fail('That name is in use right now');
+            }
+            connection.profile = name.toLowerCase();
+            connection.name = result.profile.name;
+            logger.info('server', `Player ${connection.id} signed in as ${connection.name}${result.created ? ' (new profile)' : ''}.`, { playerId: connection.id });
+            ws.send(JSON.stringify({
+                type: 'profile_signed_in',
+                payload: { created: result.created, stats: getPublicStats(result.profile) }
+            }));
+        });
+    }
+
+    function isNameInUse(connection, name) {
+        // Someone else is signed in as this profile, or (for names without a profile) playing under this name
+        const key = name.toLowerCase();
+        if (!profiles.has(name) && isBotName(name)) return true;
+        for (const session of sessions.values()) {
+            if (session !== connection && (session.profile === key || (!profiles.has(name) && session.name.toLowerCase() === key))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // --- Session Functions ---
+
+    function resumeSession(ws, connection, binary, address) {
+        // Same identity on a new socket: back into the room slot (or the lobby) it left
+        clock.clearTimeout(connection.graceTimer);
+        connection.graceTimer = null;
+        if (connection.ws) {
+            // The old socket hasn't noticed it's dead yet; forget it so its 'close' is ignored
+            connections.delete(connection.ws);
+            connection.ws.terminate();
+            if (connection.room && !connection.room.suspendPlayer(connection.id)) {
+                leaveRoom(connection, 'was replaced by a new connection');
+            }
+        }
+        connection.ws = ws;
+        connection.binary = binary;
+        connection.address = address;
+        connections.set(ws, connection);
+        logger.info('server', `Player ${connection.name} (${connection.id}) resumed their session from ${address}.`, { playerId: connection.id, address: address });
+
+        const options = { binary: binary, sessionToken: connection.token };
+        if (connection.room && !connection.room.resumePlayer(connection.id, ws, options)) {
+            connection.room = null; // The slot is gone (e.g. kicked while away)
+        }
+        if (!connection.room) {
+            sendRoomList(ws);
+        }
+    }
+
+    function expireSession(connection, reason) {
+        // Out of the room first: its last stats are recorded through the session's profile
+        if (connection.room) {
+            leaveRoom(connection, `${reason} and didn't come back`);
+        }
+        sessions.delete(connection.token);
+        logger.info('server', `Session of ${connection.name} (${connection.id}) expired.`, { playerId: connection.id });
+    }
+
+    // --- Admin Functions ---
+    // Actions of the admin API (server/admin.js): each takes the request's params and returns its result,
+    // or { error, status } with an HTTP status for the REST API
+
+    function getServerStatus() {
+        return {
+            uptime: clock.now() - startTime,
+            connections: connections.size,
+            sessions: sessions.size,
+            rooms: [...rooms.values()].map(getAdminRoomInfo),
+            maps: Object.keys(maps).map(mapId => ({ id: mapId, name: maps[mapId].name, flags: !!maps[mapId].flagBases })),
+            modes: Object.keys(GAME_MODES).map(modeId => ({ id: modeId, name: GAME_MODES[modeId].name }))
+        };
+    }
+
+    function listPlayers() {
+        // Everyone with a session (including dropped players who may come back) and every bot
+        const players = [];
+        for (const session of sessions.values()) {
+            const player = session.room?.players[session.id];
+            players.push({
+                ...getAdminPlayerInfo(session.id, session.name, session.room, player),
+                address: session.address,
+                profile: session.profile,
+                connected: session.ws !== null
+            });
+        }
+        for (const room of rooms.values()) {
+            for (const botId of room.bots.keys()) {
+                const bot = room.players[botId];
+                players.push({ ...getAdminPlayerInfo(botId, bot.name, room, bot), address: null, profile: null, connected: true });
+            }
+        }
+        return { players: players };
+    }
+
+    function adminKickPlayer({ playerId, reason }) {
+        const text = typeof reason === 'string' && reason.trim() !== '' ? reason.trim() : 'Kicked by an admin';
+        const session = findSessionById(playerId);
+        if (session) {
+            kickConnection(session, text);
+            return { kicked: playerId };
+        }
+        for (const room of rooms.values()) {
+            if (room.bots.has(playerId)) {
+                room.kickPlayer(playerId, text);
+                return { kicked: playerId };
+            }
+        }
+        return { error: `No player with id "${playerId}"`, status: 404 };
+    }
+
+    function adminBan({ playerId, ip, reason }) {
+        // Bans a player's address (playerId) or an address (ip), and kicks everyone playing from it
+        let address = typeof ip === 'string' ? ip.trim() : '';
+        let name = null;
+        if (playerId !== undefined) {
+            const session = findSessionById(playerId);
+            if (!session) return { error: `No player with id "${playerId}" (bots can't be banned)`, status: 404 };
+            address = session.address;
+            name = session.name;
+        }
+        if (address === '') {
+            return { error: 'Give a playerId or an ip to ban' };
+        }
+        const banReason = typeof reason === 'string' ? reason.trim() : '';
+        const ban = bans.add(address, { name: name, reason: banReason });
+        logger.info('server', `Banned ${address}${name ? ` (${name})` : ''}${banReason ? `: ${banReason}` : ''}.`, { address: address });
+        for (const session of [...sessions.values()]) {
+            if (session.address === address) kickConnection(session, `Banned${banReason ? `: ${banReason}` : ''}`);
+        }
+        return { ban: ban };
+    }
+
+    function adminUnban({ ip }) {
+        if (!bans.remove(ip)) {
+            return { error: `${ip} isn't banned`, status: 404 };
+        }
+        logger.info('server', `Unbanned ${ip}.`, { address: ip });
+        return { unbanned: ip };
+    }
+
+    function adminUpdateRoom({ roomId, map, mode }) {
+        // Switch a room to another map and/or mode; whatever isn't given stays as it is
+        const room = rooms.get(roomId);
+        if (!room) {
+            return { error: `No room with id "${roomId}"`, status: 404 };
+        }
+        const mapId = map ?? getMapId(room.map);
+        const modeId = mode ?? room.settings.mode;
+        const error = checkMapAndMode(mapId, modeId);
+        if (error) {
+            return { error: error };
+        }
+        room.changeMap(maps[mapId], modeId);
+        return { room: getAdminRoomInfo(room) };
+    }
+
+    function getSettings() {
+        return { settings: { ...runtimeSettings }, limits: SETTING_LIMITS };
+    }
+
+    function adminUpdateSettings(params) {
+        // { [setting]: value } for any of runtimeSettings; nothing changes unless every value is valid
+        const changes = {};
+        for (const name in params) {
+            const limits = SETTING_LIMITS[name];
+            if (!limits) {
+                return { error: `Unknown setting "${name}"` };
+            }
+            const value = Number(params[name]);
+            if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+                return { error: `${name} must be a whole number between ${limits.min} and ${limits.max}` };
+            }
+            changes[name] = value;
+        }
+        Object.assign(runtimeSettings, changes);
+        for (const room of rooms.values()) {
+            room.applySettings();
+        }
+        logger.info('server', `Settings changed: ${Object.entries(changes).map(([name, value]) => `${name}=${value}`).join(', ') || 'none'}`);
+        return getSettings();
+    }
+
+    function adminBroadcastMessage({ message }) {
+        // A message from the server to everyone: the lobby and every room
+        const text = typeof message === 'string' ? message.trim().substring(0, ADMIN_MESSAGE_MAX_LENGTH) : '';
+        if (text === '') {
+            return { error: 'The message is empty' };
+        }
+        const messageString = JSON.stringify({ type: 'server_message', payload: { text: text } });
+        let recipients = 0;
+        connections.forEach((connection, client) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(messageString);
+                recipients++;
+            }
+        });
+        logger.info('server', `Server message: ${text}`);
+        return { recipients: recipients };
+    }
+
+    function kickConnection(connection, reason) {
+        // Off the server for good: the session can't be resumed. It's only forgotten once the room has let go
+        // of the player, whose last stats are recorded through the session's profile
+        connection.kicked = true;
+        clock.clearTimeout(connection.graceTimer);
+        connection.graceTimer = null;
+        const ws = connection.ws;
+        if (connection.room) {
+            connection.room.kickPlayer(connection.id, reason); // Closes the socket, or frees a dropped player's slot
+        } else if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'kicked', payload: { reason: reason } }));
+            ws.close(4000, 'Kicked');
+        }
+        if (!ws) {
+            // Already dropped, so no 'close' is coming to finish the job
+            connection.room = null;
+            sessions.delete(connection.token);
+        }
+    }
+
+    function getAdminRoomInfo(room) {
+        return { ...room.getSummary(), mapId: getMapId(room.map) };
+    }
+
+    function getAdminPlayerInfo(playerId, name, room, player) {
+        // player: the room's state for the player, if they're in one
+        return {
+            id: playerId,
+            name: name,
+            bot: !!player?.bot,
+            room: room ? { id: room.id, name: room.name } : null,
+            spectator: !!room?.spectators[playerId],
+            team: player?.team ?? null,
+            health: player?.health ?? null,
+            ping: player?.ping ?? null,
+            kills: player?.kills ?? null,
+            deaths: player?.deaths ?? null,
+            captures: player?.captures ?? null
+        };
+    }
+
+    // --- Server Functions ---
+
+    function listen() {
+        // Resolves with the port once the server is listening (port 0 picks a free one)
+        return new Promise((resolve) => {
+            server.listen(port, () => {
+                const boundPort = server.address().port;
+                logger.info('server', `Server listening on port ${boundPort} (Tick Rate: ${runtimeSettings.TICK_RATE} Hz, Send Rate: ${runtimeSettings.SEND_RATE} Hz, admin API ${adminPassword ? 'at /admin' : 'disabled: no ADMIN_PASSWORD'})`);
+                resolve(boundPort);
+            });
+        });
+    }
+
+    function close() {
+        // Shuts every room down and drops every connection; resolves once the port is closed
+        for (const room of rooms.values()) {
+            room.stop();
+        }
+        rooms.clear();
+        for (const session of sessions.values()) {
+            clock.clearTimeout(session.graceTimer);
+        }
+        sessions.clear();
+        connections.clear(); // Nothing left for the sockets' 'close' events to clean up
+        for (const client of wss.clients) {
+            client.terminate();
+        }
+        admin.close();
+        if (profiles.saveTimer) profiles.save(); // Don't lose batched stats
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    // --- Helper Functions ---
+
+    function checkMapAndMode(mapId, mode) {
+        // Error message if rooms can't be played on this map in this mode, otherwise null
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+            return `Unknown game mode "${mode}"`;
+        }
+        if (!Object.prototype.hasOwnProperty.call(maps, mapId)) {
+            return `Unknown map "${mapId}"`;
+        }
+        if (mode === 'ctf' && !maps[mapId].flagBases) {
+            return `Map "${maps[mapId].name}" doesn't support ${GAME_MODES[mode].name}`;
+        }
+        return null;
+    }
+
+    function getMapId(map) {
+        return Object.keys(maps).find(mapId => maps[mapId] === map);
+    }
+
+    function isNameTaken(name, playerId) {
+        // Case-insensitive, and dropped players that may still come back keep their name. Bots have no
+        // session but are in their room's players. Profile names are reserved for their owner
+        const wanted = name.toLowerCase();
+        for (const session of sessions.values()) {
+            if (session.id !== playerId && session.name.toLowerCase() === wanted) return true;
+        }
+        if (isBotName(name)) return true;
+        return profiles.has(name) && findSessionById(playerId)?.profile !== wanted;
+    }
+
+    function isBotName(name) {
+        for (const room of rooms.values()) {
+            if (room.findPlayerByName(name)?.bot) return true;
+        }
+        return false;
+    }
+
+    function findSessionById(playerId) {
+        for (const session of sessions.values()) {
+            if (session.id === playerId) return session;
+        }
+        return null;
+    }
+
+    function handleDisconnect(ws, reason) {
+        const connection = connections.get(ws);
+        if (!connection) return; // Already handled ('error' is followed by 'close')
+        logger.info('server', `Player ${connection.name} (${connection.id}) ${reason}.`, { playerId: connection.id });
+        connections.delete(ws);
+        connection.ws = null;
+        if (connection.room && !connection.room.suspendPlayer(connection.id)) {
+            // Kicked (or inactive): no second chance
+            leaveRoom(connection, reason);
+            sessions.delete(connection.token);
+            return;
+        }
+        if (connection.kicked) {
+            sessions.delete(connection.token); // Kicked from the lobby
+            return;
+        }
+        // Hold the session (and room slot) in case the client reconnects
+        connection.graceTimer = clock.setTimeout(() => expireSession(connection, reason), RECONNECT_GRACE_PERIOD);
+    }
+
+    function generateUniqueId() {
+        // Simple pseudo-random ID generator
+        return random().toString(36).substring(2, 15);
+    }
+
+    return {
+        rooms: rooms, // Map<roomId, Room>
+        sessions: sessions, // Map<token, connection>
+        listen: listen,
+        close: close
+    };
+}
+
+module.exports = {
+    createGameServer
+};
@@ -0,0 +1,67 @@
+// server/geometry.js
+// Segment intersection tests used for projectile collision against obstacles and hitboxes, and for line of sight
+
+function boxToBounds(box) {
+    // Convert a center/size box into min/max corners
+    return {
+        minX: box.x - box.width / 2, maxX: box.x + box.width / 2,
+        minY: box.y - box.height / 2, maxY: box.y + box.height / 2,
+        minZ: box.z - box.depth / 2, maxZ: box.z + box.depth / 2
+    };
+}
+
+function segmentBoxIntersection(x0, y0, z0, x1, y1, z1, box) {
+    // Slab test: clip the segment parameter range [0, 1] against each axis of the box.
+    // Returns the parameter where the segment enters the box, or null if it misses
+    let tMin = 0;
+    let tMax = 1;
+    const axes = [
+        [x0, x1 - x0, box.minX, box.maxX],
+        [y0, y1 - y0, box.minY, box.maxY],
+        [z0, z1 - z0, box.minZ, box.maxZ]
+    ];
+    for (const [origin, delta, min, max] of axes) {
+        if (Math.abs(delta) < 1e-9) {
+            // Segment is parallel to this slab: it must already be inside it
+            if (origin < min || origin > max) return null;
+            continue;
+        }
+        let t1 = (min - origin) / delta;
+        let t2 = (max - origin) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+function segmentSphereIntersection(x0, y0, z0, x1, y1, z1, sphere) {
+    // Returns the segment parameter (0..1) where it enters the sphere, or null if it misses
+    const dx = x1 - x0, dy = y1 - y0, dz = z1 - z0;
+    const fx = x0 - sphere.x, fy = y0 - sphere.y, fz = z0 - sphere.z;
+    const a = dx * dx + dy * dy + dz * dz;
+    const b = 2 * (fx * dx + fy * dy + fz * dz);
+    const c = fx * fx + fy * fy + fz * fz - sphere.radius * sphere.radius;
+    if (c <= 0) return 0; // Segment starts inside the sphere
+    if (a < 1e-12) return null;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+function hasLineOfSight(x0, y0, z0, x1, y1, z1, obstacles) {
+    // Whether the segment between the two points passes no obstacle
+    for (const box of obstacles) {
+        if (segmentBoxIntersection(x0, y0, z0, x1, y1, z1, box) !== null) return false;
+    }
+    return true;
+}
+
+module.exports = {
+    boxToBounds,
+    segmentBoxIntersection,
+    segmentSphereIntersection,
+    hasLineOfSight
+};
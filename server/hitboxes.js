@@ -0,0 +1,80 @@
+// server/hitboxes.js
+// Per-zone player hitboxes (head, torso, arms, legs) and projectile tracing against them
+const { PLAYER_EYE_LEVEL } = require('./config');
+const { segmentBoxIntersection, segmentSphereIntersection } = require('./geometry');
+
+// Body dimensions mirror createPlayerModel() in index.html: model origin at the feet, facing +Z
+const MODEL_HEAD_RADIUS = 0.2, MODEL_HELMET_SCALE = 1.15;
+const MODEL_TORSO_HEIGHT = 0.65, MODEL_TORSO_WIDTH = 0.45, MODEL_TORSO_DEPTH = 0.25;
+const MODEL_LIMB_RADIUS = 0.09, MODEL_ARM_LENGTH = 0.55, MODEL_LEG_HEIGHT = 0.7;
+const MODEL_FOOT_DEPTH = 0.15, MODEL_FOOT_LENGTH = 0.25;
+const MODEL_ARM_PITCH = Math.PI * 0.35; // Arms are rotated forward to hold the weapon
+const HITBOXES = buildHitboxes();
+const ZONE_DAMAGE_MULTIPLIERS = { head: 2.0, torso: 1.0, arms: 0.75, legs: 0.75 };
+
+// --- Hitbox Functions ---
+
+function buildHitboxes() {
+    // Derive hit zones from the model dimensions the same way createPlayerModel() positions its parts
+    const legBaseY = MODEL_FOOT_DEPTH + MODEL_LIMB_RADIUS;
+    const torsoBaseY = legBaseY + MODEL_LEG_HEIGHT + MODEL_LIMB_RADIUS;
+    const torsoCenterY = torsoBaseY + MODEL_TORSO_HEIGHT / 2;
+    const headCenterY = torsoBaseY + MODEL_TORSO_HEIGHT + MODEL_HEAD_RADIUS * 0.9;
+
+    // Arms: capsules tilted forward, approximated by the box around the tilted capsule
+    const armCenterY = torsoCenterY + MODEL_TORSO_HEIGHT * 0.3 - 0.1;
+    const armShoulderOffset = MODEL_TORSO_WIDTH / 2 + MODEL_LIMB_RADIUS * 0.5;
+    const armForwardOffset = MODEL_TORSO_DEPTH / 2 + MODEL_LIMB_RADIUS * 0.5;
+    const armHalfLength = MODEL_ARM_LENGTH / 2 + MODEL_LIMB_RADIUS;
+    const armHalfY = armHalfLength * Math.cos(MODEL_ARM_PITCH) + MODEL_LIMB_RADIUS;
+    const armHalfZ = armHalfLength * Math.sin(MODEL_ARM_PITCH) + MODEL_LIMB_RADIUS;
+
+    // Torso includes the vest in front and the backpack behind it
+    const torsoFrontZ = MODEL_TORSO_DEPTH * 1.2 / 2;
+    const torsoBackZ = -(MODEL_TORSO_DEPTH / 2 + MODEL_TORSO_DEPTH * 0.4 / 2) - MODEL_TORSO_DEPTH * 0.8 / 2;
+
+    const legOuterX = MODEL_TORSO_WIDTH / 4 + MODEL_LIMB_RADIUS;
+
+    return [
+        { zone: 'head', shape: 'sphere', x: 0, y: headCenterY + 0.02, z: 0, radius: MODEL_HEAD_RADIUS * MODEL_HELMET_SCALE },
+        { zone: 'torso', shape: 'box', minX: -MODEL_TORSO_WIDTH * 1.1 / 2, maxX: MODEL_TORSO_WIDTH * 1.1 / 2,
+          minY: torsoBaseY, maxY: torsoBaseY + MODEL_TORSO_HEIGHT, minZ: torsoBackZ, maxZ: torsoFrontZ },
+        { zone: 'arms', shape: 'box', minX: -armShoulderOffset - MODEL_LIMB_RADIUS, maxX: -armShoulderOffset + MODEL_LIMB_RADIUS,
+          minY: armCenterY - armHalfY, maxY: armCenterY + armHalfY, minZ: armForwardOffset - armHalfZ, maxZ: armForwardOffset + armHalfZ },
+        { zone: 'arms', shape: 'box', minX: armShoulderOffset - MODEL_LIMB_RADIUS, maxX: armShoulderOffset + MODEL_LIMB_RADIUS,
+          minY: armCenterY - armHalfY, maxY: armCenterY + armHalfY, minZ: armForwardOffset - armHalfZ, maxZ: armForwardOffset + armHalfZ },
+        { zone: 'legs', shape: 'box', minX: -legOuterX, maxX: legOuterX,
+          minY: 0, maxY: torsoBaseY, minZ: -MODEL_LIMB_RADIUS, maxZ: MODEL_FOOT_LENGTH * 0.3 + MODEL_FOOT_LENGTH / 2 }
+    ];
+}
+
+function traceHitboxes(x0, y0, z0, x1, y1, z1, targetPos) {
+    // Move the segment into the target model's local space: origin at the feet, rotated by the
+    // model's yaw (the client renders models with rotation.y = yaw + PI)
+    const angle = -((targetPos.yaw || 0) + Math.PI);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const toLocal = (x, y, z) => {
+        const dx = x - targetPos.x, dz = z - targetPos.z;
+        return [dx * cos + dz * sin, y - (targetPos.y - PLAYER_EYE_LEVEL), -dx * sin + dz * cos];
+    };
+    const [lx0, ly0, lz0] = toLocal(x0, y0, z0);
+    const [lx1, ly1, lz1] = toLocal(x1, y1, z1);
+
+    // The first zone entered along the segment wins
+    let closest = null; // { zone, t }
+    for (const hitbox of HITBOXES) {
+        const t = hitbox.shape === 'sphere'
+            ? segmentSphereIntersection(lx0, ly0, lz0, lx1, ly1, lz1, hitbox)
+            : segmentBoxIntersection(lx0, ly0, lz0, lx1, ly1, lz1, hitbox);
+        if (t !== null && (!closest || t < closest.t)) {
+            closest = { zone: hitbox.zone, t: t };
+        }
+    }
+    return closest;
+}
+
+module.exports = {
+    HITBOXES,
+    ZONE_DAMAGE_MULTIPLIERS,
+    traceHitboxes
+};
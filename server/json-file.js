@@ -0,0 +1,25 @@
+// server/json-file.js
+// The server's data files (maps, profiles, bans) are JSON. They're read once at startup, where a broken file
+// throws and should stop the server rather than have it run on without the data; writes go through a temporary
+// file so a crash mid-write can't leave a truncated file behind.
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback) {
+    // The parsed file, or fallback (if one is given) when there's no such file
+    if (fallback !== undefined && !fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJsonFile(filePath, data) {
+    // Throws if the file can't be written; the caller decides whether that matters
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
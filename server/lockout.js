@@ -0,0 +1,45 @@
+// server/lockout.js
+// Locks out addresses that keep failing at something (admin logins, profile sign-ins): after `attempts`
+// failures, each within `lockoutTime` of the one before, the address is refused for `lockoutTime`.
+const { systemClock } = require('./clock');
+
+class Lockout {
+    constructor({ attempts, lockoutTime, clock = systemClock }) {
+        this.attempts = attempts;
+        this.lockoutTime = lockoutTime;
+        this.clock = clock;
+        this.failures = new Map(); // Map<address, { count, lastFailure, lockedUntil }>
+    }
+
+    isLockedOut(address) {
+        return (this.failures.get(address)?.lockedUntil || 0) > this.clock.now();
+    }
+
+    recordFailure(address) {
+        // Returns true if this failure locked the address out
+        this.prune();
+        const now = this.clock.now();
+        const count = (this.failures.get(address)?.count || 0) + 1;
+        const locked = count >= this.attempts;
+        this.failures.set(address, { count: locked ? 0 : count, lastFailure: now, lockedUntil: locked ? now + this.lockoutTime : 0 });
+        return locked;
+    }
+
+    recordSuccess(address) {
+        this.failures.delete(address);
+    }
+
+    prune() {
+        // Forget lockouts that are over and failures too old to count, so the map only holds recent addresses
+        const now = this.clock.now();
+        for (const [address, entry] of this.failures) {
+            if (entry.lockedUntil <= now && now - entry.lastFailure >= this.lockoutTime) {
+                this.failures.delete(address);
+            }
+        }
+    }
+}
+
+module.exports = {
+    Lockout
+};
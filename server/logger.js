@@ -0,0 +1,66 @@
+// server/logger.js
+// The server log. Every entry is structured: { seq, time, level, source, message, ...fields }. Entries are
+// printed (as text, or as JSON lines with LOG_FORMAT=json), the last LOG_HISTORY_SIZE are kept, and each
+// is emitted as 'entry' so the admin console (server/admin.js) can stream them.
+const EventEmitter = require('events');
+const { LOG_FORMAT, LOG_HISTORY_SIZE } = require('./config');
+
+class Logger extends EventEmitter {
+    constructor() {
+        super();
+        this.history = []; // Oldest first
+        this.seq = 0; // Numbers entries so a reader can ask for everything after the last one it saw
+        this.setMaxListeners(0); // Every admin console listens
+        this.silent = false; // Keep and emit entries without printing them (the tests set this)
+    }
+
+    log(level, source, message, fields = {}) {
+        // level: 'info' | 'warn' | 'error'; source: 'server', 'room:<name>', ...
+        // fields: extra data for the entry; an 'error' field holding an Error is stored as its message and stack
+        const entry = { ...fields, seq: ++this.seq, time: Date.now(), level: level, source: source, message: message };
+        if (fields.error instanceof Error) {
+            entry.error = fields.error.message;
+            entry.stack = fields.error.stack;
+        }
+        this.history.push(entry);
+        if (this.history.length > LOG_HISTORY_SIZE) this.history.shift();
+        if (!this.silent) print(entry);
+        this.emit('entry', entry);
+    }
+
+    info(source, message, fields) {
+        this.log('info', source, message, fields);
+    }
+
+    warn(source, message, fields) {
+        this.log('warn', source, message, fields);
+    }
+
+    error(source, message, fields) {
+        this.log('error', source, message, fields);
+    }
+
+    getRecent(sinceSeq = 0) {
+        // Kept entries newer than sinceSeq
+        return this.history.filter(entry => entry.seq > sinceSeq);
+    }
+}
+
+function print(entry) {
+    // Warnings and errors go to stderr
+    const write = entry.level === 'info' ? console.log : console.error;
+    if (LOG_FORMAT === 'json') {
+        write(JSON.stringify(entry));
+        return;
+    }
+    let line = `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(5)} [${entry.source}] ${entry.message}`;
+    if (entry.error) line += `: ${entry.stack || entry.error}`;
+    write(line);
+}
+
+// One log for the whole process
+const logger = new Logger();
+
+module.exports = {
+    logger
+};
@@ -0,0 +1,108 @@
+// server/map.js
+// Map definitions: loading and validating map files, and the maps rooms can be created with
+const fs = require('fs');
+const path = require('path');
+const { TEAMS, MAPS_DIR, MAP_FILE, PICKUP_TYPES } = require('./config');
+const { readJsonFile } = require('./json-file');
+
+// --- Map Functions ---
+
+function loadMap(filePath) {
+    // Read, check and normalize a map definition; anything wrong with it throws
+    const definition = readJsonFile(filePath);
+    const bounds = definition.bounds;
+
+    if (!bounds || ![bounds.minX, bounds.maxX, bounds.minZ, bounds.maxZ].every(Number.isFinite) ||
+        bounds.minX >= bounds.maxX || bounds.minZ >= bounds.maxZ) {
+        throw new Error(`Map ${filePath} has invalid bounds`);
+    }
+    if (!Array.isArray(definition.spawnPoints) || definition.spawnPoints.length === 0) {
+        throw new Error(`Map ${filePath} needs at least one spawn point`);
+    }
+
+    // Normalize boxes: x/z is the center, y defaults to resting on the ground
+    const boxes = (definition.boxes || []).map((box, index) => {
+        if (![box.x, box.z, box.width, box.height, box.depth].every(Number.isFinite) ||
+            box.width <= 0 || box.height <= 0 || box.depth <= 0) {
+            throw new Error(`Map ${filePath} has an invalid box at index ${index}`);
+        }
+        return {
+            x: box.x,
+            y: Number.isFinite(box.y) ? box.y : box.height / 2,
+            z: box.z,
+            width: box.width,
+            height: box.height,
+            depth: box.depth
+        };
+    });
+
+    const parsePoint = (point, what) => {
+        if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+            throw new Error(`Map ${filePath} has an invalid ${what}`);
+        }
+        return { x: point.x, z: point.z };
+    };
+    const spawnPoints = definition.spawnPoints.map((point, index) => parsePoint(point, `spawn point at index ${index}`));
+
+    // Optional team data: per-team spawn points and flag bases (needed for capture the flag)
+    let teamSpawnPoints = null;
+    if (definition.teamSpawnPoints) {
+        teamSpawnPoints = {};
+        for (const team of TEAMS) {
+            const points = definition.teamSpawnPoints[team];
+            if (!Array.isArray(points) || points.length === 0) {
+                throw new Error(`Map ${filePath} needs at least one ${team} team spawn point`);
+            }
+            teamSpawnPoints[team] = points.map((point, index) => parsePoint(point, `${team} spawn point at index ${index}`));
+        }
+    }
+    let flagBases = null;
+    if (definition.flagBases) {
+        flagBases = {};
+        for (const team of TEAMS) {
+            flagBases[team] = parsePoint(definition.flagBases[team], `${team} flag base`);
+        }
+    }
+
+    // Optional pickups lying on the ground: { type, x, z } with a type from PICKUP_TYPES
+    const pickups = (definition.pickups || []).map((pickup, index) => {
+        if (!PICKUP_TYPES[pickup?.type]) {
+            throw new Error(`Map ${filePath} has a pickup of unknown type at index ${index}`);
+        }
+        return { type: pickup.type, ...parsePoint(pickup, `pickup at index ${index}`) };
+    });
+
+    return {
+        name: definition.name || path.basename(filePath, '.json'),
+        bounds: { minX: bounds.minX, maxX: bounds.maxX, minZ: bounds.minZ, maxZ: bounds.maxZ },
+        boxes: boxes,
+        spawnPoints: spawnPoints,
+        teamSpawnPoints: teamSpawnPoints,
+        flagBases: flagBases,
+        pickups: pickups
+    };
+}
+
+function loadMaps() {
+    // Every map in the maps directory plus the default map (which may live elsewhere via MAP_FILE),
+    // keyed by file name without the extension. Returns { maps, defaultMapId }
+    const maps = {};
+    for (const file of fs.readdirSync(MAPS_DIR)) {
+        if (file.endsWith('.json')) {
+            maps[path.basename(file, '.json')] = loadMap(path.join(MAPS_DIR, file));
+        }
+    }
+    const defaultMapId = path.basename(MAP_FILE, '.json');
+    maps[defaultMapId] = loadMap(MAP_FILE);
+    return { maps: maps, defaultMapId: defaultMapId };
+}
+
+function isInsideBounds(bounds, x, z, margin = 0) {
+    return x >= bounds.minX - margin && x <= bounds.maxX + margin && z >= bounds.minZ - margin && z <= bounds.maxZ + margin;
+}
+
+module.exports = {
+    loadMap,
+    loadMaps,
+    isInsideBounds
+};
@@ -0,0 +1,242 @@
+// server/navigation.js
+// Walkable grid over a map's floor and A* path finding on it, so bots can walk around obstacles
+const { PLAYER_RADIUS, PLAYER_HEIGHT, NAV_CELL_SIZE } = require('./config');
+
+// Neighbour offsets: [column step, row step, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+const MAX_NEAREST_CELL_RADIUS = 4; // Cells searched around a blocked start/goal for a walkable one
+
+class NavGrid {
+    constructor(bounds, obstacles, cellSize = NAV_CELL_SIZE) {
+        this.bounds = bounds;
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.floor((bounds.maxX - bounds.minX) / cellSize));
+        this.rows = Math.max(1, Math.floor((bounds.maxZ - bounds.minZ) / cellSize));
+        this.walkable = new Uint8Array(this.columns * this.rows); // 1 where a player can stand on the ground
+
+        // A cell is walkable if a player standing on its centre is clear of every box reaching into head height.
+        // The extra half cell keeps the straight line between neighbouring walkable cells clear as well
+        const clearance = PLAYER_RADIUS + cellSize / 2;
+        const blockers = obstacles.filter(box => box.minY < PLAYER_HEIGHT);
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const { x, z } = this.cellCenter(column, row);
+                const edge = Math.min(x - bounds.minX, bounds.maxX - x, z - bounds.minZ, bounds.maxZ - z);
+                const blocked = edge < PLAYER_RADIUS || blockers.some(box =>
+                    x > box.minX - clearance && x < box.maxX + clearance &&
+                    z > box.minZ - clearance && z < box.maxZ + clearance);
+                this.walkable[row * this.columns + column] = blocked ? 0 : 1;
+            }
+        }
+    }
+
+    cellCenter(column, row) {
+        return {
+            x: this.bounds.minX + (column + 0.5) * this.cellSize,
+            z: this.bounds.minZ + (row + 0.5) * this.cellSize
+        };
+    }
+
+    cellAt(x, z) {
+        // { column, row } of the cell containing the point, clamped to the grid
+        const column = Math.floor((x - this.bounds.minX) / this.cellSize);
+        const row = Math.floor((z - this.bounds.minZ) / this.cellSize);
+        return {
+            column: Math.min(this.columns - 1, Math.max(0, column)),
+            row: Math.min(this.rows - 1, Math.max(0, row))
+        };
+    }
+
+    isCellWalkable(column, row) {
+        return column >= 0 && column < this.columns && row >= 0 && row < this.rows &&
+               this.walkable[row * this.columns + column] === 1;
+    }
+
+    isWalkable(x, z) {
+        if (x < this.bounds.minX || x > this.bounds.maxX || z < this.bounds.minZ || z > this.bounds.maxZ) return false;
+        const { column, row } = this.cellAt(x, z);
+        return this.isCellWalkable(column, row);
+    }
+
+    isLineWalkable(x0, z0, x1, z1) {
+        // Samples the segment every half cell
+        const distance = Math.sqrt((x1 - x0) ** 2 + (z1 - z0) ** 2);
+        const steps = Math.ceil(distance / (this.cellSize / 2));
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (!this.isWalkable(x0 + (x1 - x0) * t, z0 + (z1 - z0) * t)) return false;
+        }
+        return true;
+    }
+
+    findNearestWalkableCell(x, z) {
+        // The point's own cell if walkable, otherwise the closest walkable one nearby (or null)
+        const { column, row } = this.cellAt(x, z);
+        let best = null;
+        let bestDistance = Infinity;
+        for (let radius = 0; radius <= MAX_NEAREST_CELL_RADIUS && !best; radius++) {
+            for (let r = row - radius; r <= row + radius; r++) {
+                for (let c = column - radius; c <= column + radius; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - column)) !== radius || !this.isCellWalkable(c, r)) continue;
+                    const center = this.cellCenter(c, r);
+                    const distance = (center.x - x) ** 2 + (center.z - z) ** 2;
+                    if (distance < bestDistance) {
+                        best = { column: c, row: r };
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    randomWalkablePoint(random = Math.random) {
+        // Centre of a random walkable cell (null on a map without any)
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const column = Math.floor(random() * this.columns);
+            const row = Math.floor(random() * this.rows);
+            if (this.isCellWalkable(column, row)) return this.cellCenter(column, row);
+        }
+        return null;
+    }
+
+    findPath(fromX, fromZ, toX, toZ) {
+        // A* over the grid. Returns the waypoints ([{ x, z }], not including the start) or null if there's no way there
+        const start = this.findNearestWalkableCell(fromX, fromZ);
+        const goal = this.findNearestWalkableCell(toX, toZ);
+        if (!start || !goal) return null;
+
+        const columns = this.columns;
+        const startIndex = start.row * columns + start.column;
+        const goalIndex = goal.row * columns + goal.column;
+        const cost = new Float64Array(this.walkable.length).fill(Infinity);
+        const cameFrom = new Int32Array(this.walkable.length).fill(-1);
+        const closed = new Uint8Array(this.walkable.length);
+        const heuristic = (index) => {
+            // Octile distance: exact on an empty 8-connected grid
+            const dx = Math.abs(index % columns - goal.column);
+            const dz = Math.abs(Math.floor(index / columns) - goal.row);
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const open = new MinHeap();
+        cost[startIndex] = 0;
+        open.push(startIndex, heuristic(startIndex));
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalIndex) break;
+            if (closed[current]) continue; // Stale heap entry
+            closed[current] = 1;
+            const column = current % columns;
+            const row = Math.floor(current / columns);
+            for (const [dc, dr, stepCost] of NEIGHBOURS) {
+                const c = column + dc;
+                const r = row + dr;
+                if (!this.isCellWalkable(c, r)) continue;
+                // No cutting corners: a diagonal step needs both cells beside it free
+                if (dc !== 0 && dr !== 0 && (!this.isCellWalkable(column + dc, row) || !this.isCellWalkable(column, row + dr))) continue;
+                const next = r * columns + c;
+                const nextCost = cost[current] + stepCost;
+                if (nextCost < cost[next]) {
+                    cost[next] = nextCost;
+                    cameFrom[next] = current;
+                    open.push(next, nextCost + heuristic(next));
+                }
+            }
+        }
+        if (startIndex !== goalIndex && cameFrom[goalIndex] === -1) return null;
+
+        const cells = [];
+        for (let index = goalIndex; index !== startIndex; index = cameFrom[index]) {
+            cells.push(this.cellCenter(index % columns, Math.floor(index / columns)));
+        }
+        cells.reverse();
+        // End on the exact goal if it's walkable, otherwise at the centre of the nearest walkable cell
+        if (this.isWalkable(toX, toZ)) {
+            if (cells.length > 0) cells.pop();
+            cells.push({ x: toX, z: toZ });
+        }
+        return this.smoothPath(fromX, fromZ, cells);
+    }
+
+    smoothPath(fromX, fromZ, cells) {
+        // Skip every waypoint that can be reached in a straight line from the previous kept one
+        const path = [];
+        let x = fromX;
+        let z = fromZ;
+        let i = 0;
+        while (i < cells.length) {
+            let farthest = i;
+            for (let j = cells.length - 1; j > i; j--) {
+                if (this.isLineWalkable(x, z, cells[j].x, cells[j].z)) {
+                    farthest = j;
+                    break;
+                }
+            }
+            path.push(cells[farthest]);
+            x = cells[farthest].x;
+            z = cells[farthest].z;
+            i = farthest + 1;
+        }
+        return path;
+    }
+}
+
+class MinHeap {
+    // Binary heap of (value, priority) pairs, smallest priority first
+    constructor() {
+        this.values = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.values.length;
+    }
+
+    push(value, priority) {
+        const values = this.values;
+        const priorities = this.priorities;
+        let i = values.length;
+        values.push(value);
+        priorities.push(priority);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            values[i] = values[parent];
+            priorities[i] = priorities[parent];
+            i = parent;
+        }
+        values[i] = value;
+        priorities[i] = priority;
+    }
+
+    pop() {
+        const values = this.values;
+        const priorities = this.priorities;
+        const top = values[0];
+        const lastValue = values.pop();
+        const lastPriority = priorities.pop();
+        if (values.length > 0) {
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                if (left >= values.length) break;
+                const child = left + 1 < values.length && priorities[left + 1] < priorities[left] ? left + 1 : left;
+                if (priorities[child] >= lastPriority) break;
+                values[i] = values[child];
+                priorities[i] = priorities[child];
+                i = child;
+            }
+            values[i] = lastValue;
+            priorities[i] = lastPriority;
+        }
+        return top;
+    }
+}
+
+module.exports = {
+    NavGrid
+};
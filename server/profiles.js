@@ -0,0 +1,148 @@
+// server/profiles.js
+// Player profiles: a chosen name plus a secret, with lifetime stats, kept in a JSON file.
+// Writes are batched; the whole file is rewritten at most once per PROFILE_SAVE_DELAY.
+const crypto = require('crypto');
+const { PROFILE_SAVE_DELAY, LEADERBOARD_SIZE } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const STORE_VERSION = 1;
+// Stats recorded from rooms; bestStreak keeps the maximum, everything else adds up
+const STAT_FIELDS = ['kills', 'deaths', 'shotsFired', 'hits', 'bestStreak', 'matchesPlayed'];
+// Leaderboard orders (all descending)
+const LEADERBOARD_SORTS = {
+    kills: profile => profile.kills,
+    kd: profile => getKillDeathRatio(profile),
+    accuracy: profile => getAccuracy(profile),
+    bestStreak: profile => profile.bestStreak,
+    matchesPlayed: profile => profile.matchesPlayed
+};
+
+class ProfileStore {
+    constructor(filePath, clock = systemClock) {
+        this.filePath = filePath;
+        this.clock = clock; // now() for timestamps and the save delay's timer (see server/clock.js)
+        this.profiles = {}; // { [lowercase name]: { name, salt, secretHash, createdAt, lastSeen, ...STAT_FIELDS } }
+        this.saveTimer = null;
+    }
+
+    load() {
+        // A missing file is an empty store
+        const data = readJsonFile(this.filePath, null);
+        if (!data) return;
+        if (data.version !== STORE_VERSION || typeof data.profiles !== 'object') {
+            throw new Error(`Profile store ${this.filePath} has an unknown format`);
+        }
+        this.profiles = data.profiles;
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.profiles, name.toLowerCase());
+    }
+
+    signIn(name, secret, callback) {
+        // callback({ profile, created } or { error }). Unknown names are registered with the given secret.
+        // Hashing is slow on purpose, so it runs off the event loop
+        const key = name.toLowerCase();
+        const existing = this.profiles[key];
+        const salt = existing ? existing.salt : crypto.randomBytes(16).toString('hex');
+        hashSecret(secret, salt, (error, secretHash) => {
+            if (error) {
+                logger.error('profiles', 'Failed to hash a profile secret', { error: error });
+                return callback({ error: 'Signing in failed; try again' });
+            }
+            if (!existing) {
+                if (this.profiles[key]) {
+                    return callback({ error: 'That name was registered just now' }); // By someone else, while we were hashing
+                }
+                const profile = { name: name, salt: salt, secretHash: secretHash, createdAt: this.clock.now(), lastSeen: this.clock.now() };
+                STAT_FIELDS.forEach(field => { profile[field] = 0; });
+                this.profiles[key] = profile;
+                this.scheduleSave();
+                return callback({ profile: profile, created: true });
+            }
+            if (!crypto.timingSafeEqual(Buffer.from(existing.secretHash, 'hex'), Buffer.from(secretHash, 'hex'))) {
+                return callback({ error: 'Wrong secret for that profile' });
+            }
+            existing.lastSeen = this.clock.now();
+            this.scheduleSave();
+            callback({ profile: existing, created: false });
+        });
+    }
+
+    recordStats(name, stats) {
+        // stats: counts earned since the last call (see Room.flushStats)
+        const profile = this.profiles[name.toLowerCase()];
+        if (!profile) return;
+        for (const field of STAT_FIELDS) {
+            const value = stats[field] || 0;
+            profile[field] = field === 'bestStreak' ? Math.max(profile[field], value) : profile[field] + value;
+        }
+        profile.lastSeen = this.clock.now();
+        this.scheduleSave();
+    }
+
+    getLeaderboard(sortBy) {
+        // Top LEADERBOARD_SIZE profiles that have played at least one shot
+        const sortKey = LEADERBOARD_SORTS[sortBy] ? sortBy : 'kills';
+        const value = LEADERBOARD_SORTS[sortKey];
+        const entries = Object.values(this.profiles)
+            .filter(profile => profile.shotsFired > 0 || profile.matchesPlayed > 0)
+            .sort((a, b) => value(b) - value(a) || a.name.localeCompare(b.name))
+            .slice(0, LEADERBOARD_SIZE)
+            .map(getPublicStats);
+        return { sortBy: sortKey, entries: entries };
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = this.clock.setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, PROFILE_SAVE_DELAY);
+    }
+
+    save() {
+        this.clock.clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            writeJsonFile(this.filePath, { version: STORE_VERSION, profiles: this.profiles });
+        } catch (error) {
+            logger.error('profiles', `Failed to save profiles to ${this.filePath}`, { error: error });
+        }
+    }
+}
+
+function hashSecret(secret, salt, callback) {
+    // callback(error, hex digest)
+    crypto.scrypt(secret, salt, 32, (error, key) => callback(error, key && key.toString('hex')));
+}
+
+function getKillDeathRatio(profile) {
+    return profile.deaths > 0 ? profile.kills / profile.deaths : profile.kills;
+}
+
+function getAccuracy(profile) {
+    return profile.shotsFired > 0 ? profile.hits / profile.shotsFired : 0;
+}
+
+function getPublicStats(profile) {
+    // Everything but the secret
+    return {
+        name: profile.name,
+        kills: profile.kills,
+        deaths: profile.deaths,
+        kd: Math.round(getKillDeathRatio(profile) * 100) / 100,
+        accuracy: Math.round(getAccuracy(profile) * 1000) / 10, // Percent, one decimal
+        shotsFired: profile.shotsFired,
+        hits: profile.hits,
+        bestStreak: profile.bestStreak,
+        matchesPlayed: profile.matchesPlayed
+    };
+}
+
+module.exports = {
+    ProfileStore,
+    getPublicStats
+};
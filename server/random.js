@@ -0,0 +1,19 @@
+// server/random.js
+// Random numbers for the simulation. Rooms take a random() function (Math.random by default) so tests can
+// give them a seeded one and get the same spawn points, spread and bot decisions on every run.
+
+function createRandom(seed) {
+    // Seeded generator (mulberry32) with the same contract as Math.random: a float in [0, 1)
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    createRandom
+};
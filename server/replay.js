@@ -0,0 +1,143 @@
+// server/replay.js
+// Match recordings. Each room's recorder keeps the last few seconds of play (for killcams) and, while a
+// round is being played, the whole round, which is saved when it ends as a gzipped file of JSON lines:
+// a header, then one [time, type, payload] record per line. time is ms since the header's startTime.
+// 'state' records are the world as every client could see it, as deltas against the previous one (the
+// first one is complete); the other records are the room's broadcasts (see RECORDED_MESSAGES).
+// The replay viewer and the killcam in index.html play back the same records.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { runtimeSettings, PROJECTILE_LIFETIME, REPLAYS_DIR, MAX_REPLAYS, KILLCAM_DURATION } = require('./config');
+const { isInInterest, buildDelta } = require('./snapshot');
+
+const REPLAY_FORMAT = 1;
+const REPLAY_FILE_SUFFIX = '.replay.gz';
+// Broadcasts worth keeping: pings and chat are left out
+const RECORDED_MESSAGES = new Set([
+    'projectile_created', 'player_respawned', 'player_joined', 'player_left', 'match_phase', 'match_ended', 'flag_event'
+]);
+
+class MatchRecorder {
+    constructor(room) {
+        this.room = room;
+        this.recent = []; // Last KILLCAM_DURATION of play: { time, type, payload } with full state views
+        this.recording = null; // { startTime, records, lastView } while a round is being recorded
+    }
+
+    recordState(time, view, events) {
+        // view: { players, flags, match } with every player visible; events: hits, deaths and removed projectiles
+        this.remember({ time: time, type: 'state', payload: { view: view, events: events } });
+        const recording = this.recording;
+        if (recording) {
+            recording.records.push([time - recording.startTime, 'state', { ...buildDelta(recording.lastView, view), ...events }]);
+            recording.lastView = view;
+        }
+    }
+
+    recordMessage(time, message) {
+        if (!RECORDED_MESSAGES.has(message.type)) return;
+        this.remember({ time: time, type: message.type, payload: message.payload });
+        if (this.recording) {
+            this.recording.records.push([time - this.recording.startTime, message.type, message.payload]);
+        }
+    }
+
+    remember(entry) {
+        this.recent.push(entry);
+        while (this.recent.length > 0 && entry.time - this.recent[0].time > KILLCAM_DURATION) {
+            this.recent.shift();
+        }
+    }
+
+    startRecording(time) {
+        if (!this.room.recordMatches) return;
+        this.recording = { startTime: time, records: [], lastView: null };
+    }
+
+    finishRecording() {
+        // Saves the round recorded so far (if any) in the background
+        const recording = this.recording;
+        this.recording = null;
+        if (!recording || recording.records.length === 0) return;
+
+        const startDate = new Date(recording.startTime).toISOString().replace(/[:.]/g, '-');
+        const filePath = path.join(REPLAYS_DIR, `${startDate}-${this.room.id}${REPLAY_FILE_SUFFIX}`);
+        const lines = [JSON.stringify(this.createHeader(recording.startTime))];
+        for (const record of recording.records) lines.push(JSON.stringify(record));
+        zlib.gzip(lines.join('\n'), (gzipError, data) => {
+            if (gzipError) {
+                this.room.warn(`Failed to compress the match recording: ${gzipError.message}`);
+                return;
+            }
+            fs.mkdir(REPLAYS_DIR, { recursive: true }, (mkdirError) => {
+                if (mkdirError) {
+                    this.room.warn(`Failed to create ${REPLAYS_DIR}: ${mkdirError.message}`);
+                    return;
+                }
+                fs.writeFile(filePath, data, (writeError) => {
+                    if (writeError) {
+                        this.room.warn(`Failed to save the match recording to ${filePath}: ${writeError.message}`);
+                        return;
+                    }
+                    this.room.log(`Saved match recording ${path.basename(filePath)} (${(data.length / 1024).toFixed(1)} KB)`);
+                    pruneReplays();
+                });
+            });
+        });
+    }
+
+    createHeader(startTime) {
+        return {
+            format: REPLAY_FORMAT,
+            room: this.room.name,
+            mode: this.room.match.mode,
+            map: this.room.map, // The viewer builds the arena from this
+            startTime: startTime,
+            sendRate: runtimeSettings.SEND_RATE,
+            projectileLifetime: PROJECTILE_LIFETIME
+        };
+    }
+
+    getKillcam(attackerId) {
+        // The last KILLCAM_DURATION as the attacker saw it: only players in their area of interest.
+        // Returns { header, records } in the recording format, or null if the attacker isn't in the footage
+        const obstacles = this.room.obstacles;
+        const startTime = this.recent.length > 0 ? this.recent[0].time : this.room.clock.now();
+        const records = [];
+        let lastView = null;
+        for (const entry of this.recent) {
+            if (entry.type !== 'state') {
+                records.push([entry.time - startTime, entry.type, entry.payload]);
+                continue;
+            }
+            const { view, events } = entry.payload;
+            const attacker = view.players[attackerId];
+            if (!attacker) continue;
+            const players = {};
+            for (const id in view.players) {
+                if (isInInterest(attacker, view.players[id], obstacles)) players[id] = view.players[id];
+            }
+            const attackerView = { players: players, flags: view.flags, match: view.match };
+            records.push([entry.time - startTime, 'state', { ...buildDelta(lastView, attackerView), ...events }]);
+            lastView = attackerView;
+        }
+        if (lastView === null) return null;
+        return { header: this.createHeader(startTime), records: records };
+    }
+}
+
+function pruneReplays() {
+    // Keep the newest MAX_REPLAYS recordings (file names start with the date, so they sort by age)
+    fs.readdir(REPLAYS_DIR, (error, files) => {
+        if (error) return;
+        const replays = files.filter(file => file.endsWith(REPLAY_FILE_SUFFIX)).sort();
+        for (const file of replays.slice(0, Math.max(0, replays.length - MAX_REPLAYS))) {
+            fs.unlink(path.join(REPLAYS_DIR, file), () => {});
+        }
+    });
+}
+
+module.exports = {
+    MatchRecorder
+};
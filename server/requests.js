@@ -0,0 +1,21 @@
+// server/requests.js
+// Helpers for the HTTP requests (and WebSocket upgrades) that reach the server
+function getClientAddress(request) {
+    // The address a request came from, with IPv4-mapped IPv6 addresses ('::ffff:1.2.3.4') as plain IPv4
+    const address = request.socket.remoteAddress || '';
+    return address.startsWith('::ffff:') ? address.substring(7) : address;
+}
+
+function parseRequestUrl(request) {
+    // The request's URL, or null if it can't be parsed (new URL() throws on paths like '//')
+    try {
+        return new URL(request.url, 'http://localhost');
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    getClientAddress,
+    parseRequestUrl
+};
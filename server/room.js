@@ -0,0 +1,1802 @@
+// server/room.js
+// A room is one independent match: its own players, projectiles, map, settings and tick loop.
+// The lobby (server/game-server.js) creates rooms, moves connections in and out, and drops rooms once they're empty.
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const {
+    START_HEALTH, PLAYER_RADIUS, PLAYER_HEIGHT, PROJECTILE_LIFETIME, runtimeSettings,
+    PLAYER_EYE_LEVEL, SNAPSHOT_HISTORY_SIZE, BANDWIDTH_LOG_INTERVAL,
+    PLAYER_MAX_SPEED, MOVE_SPEED_TOLERANCE, MOVE_DISTANCE_TOLERANCE, MAX_JUMP_HEIGHT, GROUND_TOLERANCE,
+    OBSTACLE_TOLERANCE, SHOOT_ORIGIN_TOLERANCE, DIRECTION_LENGTH_TOLERANCE, VIOLATION_KICK_THRESHOLD,
+    VIOLATION_DECAY_RATE,
+    MAX_REWIND_MS, INTERPOLATION_SNAPSHOTS, POSITION_HISTORY_SIZE, PING_INTERVAL, RTT_SMOOTHING,
+    GAME_MODES, TEAMS, MIN_PLAYERS_TO_START, WARMUP_DURATION, RESULTS_DURATION,
+    FLAG_TOUCH_RADIUS, FLAG_RETURN_TIME, PICKUP_TYPES, PICKUP_RADIUS, MAX_ARMOR, ARMOR_ABSORPTION,
+    CHAT_MAX_LENGTH, CHAT_RATE_LIMIT, CHAT_RATE_WINDOW, MIN_NAME_LENGTH, MAX_NAME_LENGTH, ADMIN_PASSWORD,
+    BOT_FILL_PLAYERS, BOT_NAMES, RECORD_MATCHES, MAX_SPECTATORS
+} = require('./config');
+const { WEAPONS, DEFAULT_WEAPON, FIRE_RATE_TOLERANCE, createInventory, applySpread, getProjectileDamage } = require('./weapons');
+const { ZONE_DAMAGE_MULTIPLIERS, traceHitboxes } = require('./hitboxes');
+const { boxToBounds, segmentBoxIntersection } = require('./geometry');
+const { isInsideBounds } = require('./map');
+const { isValidPosition, isValidRotation, isValidDirection, isValidPlayerName } = require('./validation');
+const { filterProfanity, containsProfanity, parseCommand } = require('./chat');
+const { serializePlayer, isInInterest, buildDelta } = require('./snapshot');
+const { encodeSnapshot } = require('./snapshot-codec');
+const { NavGrid } = require('./navigation');
+const { Bot } = require('./bots');
+const { MatchRecorder } = require('./replay');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+class Room extends EventEmitter {
+    // Emits 'empty' when the last player leaves, 'players_changed' when someone joins or leaves,
+    // 'player_renamed' (playerId, name) after a /name command and 'player_stats' (playerId, stats) with
+    // the lifetime stats a player earned since the last one (at the end of every round and on leaving).
+    // isNameTaken(name, playerId): server-wide name check for /name; defaults to this room only.
+    // botDifficulty: fill the room with bots of this difficulty (see BOT_DIFFICULTIES), or null for none.
+    // clock and random: where time, timers and random numbers come from (see server/clock.js and server/random.js);
+    // recordMatches: save a recording of every round (see server/replay.js)
+    constructor({
+        id, name, map, mode, maxPlayers, password = null, isNameTaken = null, botDifficulty = null,
+        clock = systemClock, random = Math.random, recordMatches = RECORD_MATCHES, adminPassword = ADMIN_PASSWORD
+    }) {
+        super();
+        if (!GAME_MODES[mode]) {
+            throw new Error(`Unknown game mode "${mode}"`);
+        }
+        if (mode === 'ctf' && !map.flagBases) {
+            throw new Error(`Map "${map.name}" has no flag bases and can't be used for capture the flag`);
+        }
+        this.id = id;
+        this.name = name;
+        this.password = password; // null for open rooms
+        this.clock = clock;
+        this.random = random;
+        this.recordMatches = recordMatches;
+        this.adminPassword = adminPassword; // For /login; null disables it
+        this.isNameTaken = isNameTaken || ((playerName, playerId) =>
+            this.findPlayerByName(playerName, playerId) !== null || this.findSpectatorByName(playerName, playerId) !== null);
+        this.settings = { mode: mode, maxPlayers: maxPlayers, botDifficulty: botDifficulty };
+        this.setMap(map);
+
+        this.players = {}; // { id: { x, y, z, pitch, yaw, health, weapon, inventory, name, kills, deaths, lastUpdateTime, reloading, reloadStartTime } }
+        this.spectators = {}; // { id: { id, name, role, muted, chatTimes, ping, round, disconnected, kicked } }: watching, not playing (see addSpectator())
+        this.projectiles = []; // { id, x, y, z, vx, vy, vz, ownerId, weapon, spawnTime }
+        this.projectileIdCounter = 0;
+        this.clientMap = new Map(); // Map<playerId, WebSocket>
+        this.bots = new Map(); // Map<playerId, Bot> for the players the server plays itself
+        this.botIdCounter = 0;
+        this.positionHistories = new Map(); // Map<playerId, ring buffer of { time, x, y, z, yaw }> for lag compensation
+
+        this.match = { // Warmup -> playing -> results -> (reset) warmup ...
+            mode: mode,
+            phase: 'warmup', // 'warmup' | 'playing' | 'results'
+            phaseEndTime: this.clock.now() + WARMUP_DURATION,
+            teamScores: { red: 0, blue: 0 },
+            results: null // Final standings while in the 'results' phase
+        };
+        this.flags = {}; // CTF only: { [team]: { team, x, y, z, state: 'home' | 'carried' | 'dropped', carrierId, dropTime } }
+        this.pendingEvents = createEventBuffer(); // Hits, deaths and removed projectiles since the last snapshot
+        this.pendingKillcams = []; // { victimId, attackerId } for deaths since the last snapshot
+        this.recorder = new MatchRecorder(this); // Round recordings and the footage for killcams
+        this.resetFlags();
+
+        // Snapshots: each client gets a delta against the last snapshot it acknowledged
+        this.snapshotSeq = 0;
+        this.snapshotClients = new Map(); // Map<playerId, { binary, sessionToken, ackedSeq, history: Map<seq, view> }>
+        this.bandwidth = { sentBytes: 0, fullBytes: 0, since: this.clock.now() }; // fullBytes: what full JSON snapshots would have cost
+
+        this.tickInterval = null;
+        this.sendInterval = null;
+        this.pingInterval = null;
+        this.lastTickTime = this.clock.now();
+    }
+
+    start() {
+        this.lastTickTime = this.clock.now();
+        this.startLoops();
+        // Clients echo the server timestamp back in a 'pong' so the round-trip time can be measured
+        this.pingInterval = this.clock.setInterval(() => {
+            this.broadcast({ type: 'ping', payload: { t: this.clock.now() } });
+        }, PING_INTERVAL);
+        this.log(`Room started on map "${this.map.name}" (${GAME_MODES[this.settings.mode].name}, max ${this.settings.maxPlayers} players, Tick Rate: ${runtimeSettings.TICK_RATE} Hz, Send Rate: ${runtimeSettings.SEND_RATE} Hz)`);
+    }
+
+    startLoops() {
+        // (Re)start the game loop and the snapshot timer at the current rates
+        this.clock.clearInterval(this.tickInterval);
+        this.clock.clearInterval(this.sendInterval);
+        this.tickInterval = this.clock.setInterval(() => this.tick(), 1000 / runtimeSettings.TICK_RATE); // Run the game loop at the target tick rate
+        this.sendInterval = this.clock.setInterval(() => this.sendSnapshots(), 1000 / runtimeSettings.SEND_RATE); // Snapshots go out at their own rate
+    }
+
+    applySettings() {
+        // runtimeSettings changed (admin API): the rates take effect right away, everything else is read where it's
+        // used. Clients are told what they need to know
+        if (this.tickInterval) this.startLoops();
+        this.broadcast({ type: 'server_settings', payload: this.getClientSettings() });
+    }
+
+    getClientSettings() {
+        return {
+            sendRate: runtimeSettings.SEND_RATE, // Snapshots per second
+            interpolationDelay: getInterpolationDelay(), // ms the client draws remote players in the past
+            respawnTime: runtimeSettings.RESPAWN_TIME // For the death screen countdown
+        };
+    }
+
+    stop() {
+        this.clock.clearInterval(this.tickInterval);
+        this.clock.clearInterval(this.sendInterval);
+        this.clock.clearInterval(this.pingInterval);
+        this.tickInterval = null;
+        this.sendInterval = null;
+        this.pingInterval = null;
+        this.recorder.finishRecording(); // Keep what was played of an unfinished round
+        this.log('Room shut down.');
+    }
+
+    getSummary() {
+        // Public description for the lobby's room list (never includes the password)
+        return {
+            id: this.id,
+            name: this.name,
+            map: this.map.name,
+            mode: this.settings.mode,
+            modeName: GAME_MODES[this.settings.mode].name,
+            phase: this.match.phase,
+            players: this.getHumanCount(),
+            bots: this.bots.size,
+            spectators: this.getSpectatorCount(),
+            maxPlayers: this.settings.maxPlayers,
+            hasPassword: this.password !== null
+        };
+    }
+
+    getPlayerCount() {
+        return Object.keys(this.players).length;
+    }
+
+    getHumanCount() {
+        // Players with a connection (or a slot held for one), i.e. everyone but bots
+        return this.getPlayerCount() - this.bots.size;
+    }
+
+    isFull() {
+        // Bots make way for people, so only people count
+        return this.getHumanCount() >= this.settings.maxPlayers;
+    }
+
+    getSpectatorCount() {
+        return Object.keys(this.spectators).length;
+    }
+
+    isFullOfSpectators() {
+        return this.getSpectatorCount() >= MAX_SPECTATORS;
+    }
+
+    log(message, fields) {
+        logger.info(`room:${this.name}`, message, { roomId: this.id, ...fields });
+    }
+
+    warn(message, fields) {
+        logger.warn(`room:${this.name}`, message, { roomId: this.id, ...fields });
+    }
+
+    // --- Map ---
+
+    setMap(map) {
+        // The server owns the map: every client builds its obstacles from the definition sent in 'init'
+        this.map = map;
+        this.obstacles = map.boxes.map(boxToBounds); // Axis-aligned bounds used for collision checks
+        this.navGrid = this.settings.botDifficulty ? new NavGrid(map.bounds, this.obstacles) : null; // Where bots can walk
+        // Map pickups by id ('pickup_<index in the map file>'): { id, type, x, z, available, respawnTime }
+        this.pickups = {};
+        map.pickups.forEach((spawn, index) => {
+            const id = `pickup_${index}`;
+            this.pickups[id] = { id: id, type: spawn.type, x: spawn.x, z: spawn.z, available: true, respawnTime: 0 };
+        });
+    }
+
+    changeMap(map, mode) {
+        // Switch to another map and/or mode (admin API). The round in progress ends without results and
+        // everyone starts a fresh warmup on the new map. Throws like the constructor for a combination that can't be played
+        if (!GAME_MODES[mode]) {
+            throw new Error(`Unknown game mode "${mode}"`);
+        }
+        if (mode === 'ctf' && !map.flagBases) {
+            throw new Error(`Map "${map.name}" has no flag bases and can't be used for capture the flag`);
+        }
+        this.recorder.finishRecording(); // Keep what was played of the old round
+        this.recorder = new MatchRecorder(this); // Killcam footage from the old map is no use
+        this.pendingKillcams = [];
+        this.settings.mode = mode;
+        this.match.mode = mode;
+        this.setMap(map);
+        this.positionHistories.clear();
+        for (const bot of this.bots.values()) bot.reset();
+        this.resetRound(); // New teams, flags and spawn points
+        this.setMatchPhase('warmup', this.clock.now() + WARMUP_DURATION);
+        this.log(`Switched to map "${map.name}" (${GAME_MODES[mode].name}).`);
+        // Everyone gets a fresh 'init' to build the new arena from
+        for (const [playerId, ws] of this.clientMap) {
+            const { binary, sessionToken } = this.snapshotClients.get(playerId);
+            if (ws.readyState !== WebSocket.OPEN) continue;
+            if (this.players[playerId]) {
+                // The client starts numbering corrections and updates from scratch, as after resumePlayer()
+                this.players[playerId].correctionSeq = 0;
+                this.players[playerId].lastInputSeq = 0;
+            }
+            this.attachClient(playerId, ws, { binary: binary, sessionToken: sessionToken, mapChanged: true });
+        }
+    }
+
+    // --- Joining and Leaving ---
+
+    addPlayer(playerId, playerName, ws, options = {}) {
+        // options.binary: send snapshots in the compact binary encoding instead of JSON
+        // options.sessionToken: passed on to the client in 'init' so it can resume after a dropped connection
+        // options.role: 'admin' (may /kick and /mute) or 'player'
+        // options.bot: played by the server (see addBot()); ws is null
+        // options.roundStats: { kills, deaths, captures } from playing earlier in this round (see setSpectating())
+        this.log(`Player ${playerName} (${playerId}) joined.`);
+
+        // Initialize player state
+        const team = this.pickTeam(); // null in free-for-all
+        const spawnPoint = this.getSpawnPoint(team);
+        this.players[playerId] = {
+            id: playerId,
+            name: playerName,
+            team: team,
+            x: spawnPoint.x, // Initial position at one of the map's spawn points
+            y: PLAYER_EYE_LEVEL, // Initial Y position (approx eye level, client corrects on first update)
+            z: spawnPoint.z,
+            pitch: 0,
+            yaw: 0,
+            health: START_HEALTH,
+            armor: 0, // Absorbs part of every hit (see ARMOR_ABSORPTION); only its owner is told about it
+            weapon: DEFAULT_WEAPON, // Currently equipped weapon
+            inventory: createInventory(), // Full magazine and reserve ammo for every weapon
+            lastShotTime: 0, // For fire rate enforcement
+            kills: options.roundStats?.kills || 0,
+            deaths: options.roundStats?.deaths || 0,
+            captures: options.roundStats?.captures || 0, // Flag captures (capture the flag)
+            respawnTime: 0, // When a dead player's respawn is due
+            joinTime: this.clock.now(), // Most recent joiners are moved first when balancing teams
+            reloading: false,
+            reloadStartTime: 0,
+            lastUpdateTime: this.clock.now(),
+            lastMoveTime: this.clock.now(), // Time of the last accepted position (used for speed checks)
+            correctionSeq: 0, // Incremented on every position correction; client echoes it back
+            lastInputSeq: 0, // Sequence number of the last player_update processed, echoed back for reconciliation
+            violationScore: 0, // Anti-cheat score, decays over time
+            lastViolationTime: 0,
+            ping: 0, // Smoothed round-trip time in ms, measured with ping/pong
+            role: options.role === 'admin' ? 'admin' : 'player',
+            muted: false, // Muted players can't chat
+            chatTimes: [], // Times of recent chat messages, for the rate limit
+            streak: 0, // Kills since the last death (rounds in progress only)
+            pendingStats: createPendingStats(), // Lifetime stats not yet reported with 'player_stats'
+            disconnected: false, // Connection lost; the slot is kept until the session expires
+            kicked: false, // Kicked players can't resume their slot
+            bot: !!options.bot
+        };
+        if (ws) this.attachClient(playerId, ws, options);
+
+        // Inform *other* players about the new player joining
+        this.broadcast({
+            type: 'player_joined',
+            payload: serializePlayer(this.players[playerId], true) // Send the public initial state of the new player
+        }, ws); // Exclude the new player itself from this broadcast
+        this.emit('players_changed');
+        if (!options.bot) this.updateBots();
+    }
+
+    suspendPlayer(playerId) {
+        // Connection lost: keep the player (stats, ammo, position) for a later resumePlayer().
+        // Returns false if the slot can't be kept, in which case the caller removes the player
+        const player = this.players[playerId] || this.spectators[playerId];
+        if (!player || player.kicked) return false;
+        player.disconnected = true;
+        this.clientMap.delete(playerId);
+        this.snapshotClients.delete(playerId);
+        if (this.spectators[playerId]) {
+            this.log(`Spectator ${player.name} lost connection.`);
+            return true;
+        }
+        this.dropCarriedFlag(playerId); // Nobody should be able to sit on the flag by pulling the cable
+        this.log(`Player ${player.name} lost connection, keeping their slot.`);
+        this.broadcast({ type: 'player_disconnected', payload: { id: playerId, name: player.name } });
+        return true;
+    }
+
+    resumePlayer(playerId, ws, options = {}) {
+        // A suspended player reconnected; returns false if their slot is gone
+        const player = this.players[playerId] || this.spectators[playerId];
+        if (!player || !player.disconnected) return false;
+        const now = this.clock.now();
+        player.disconnected = false;
+        player.lastUpdateTime = now;
+        if (this.spectators[playerId]) {
+            this.log(`Spectator ${player.name} reconnected.`);
+            this.attachClient(playerId, ws, { ...options, resumed: true });
+            return true;
+        }
+        player.lastMoveTime = now;
+        // The client starts numbering corrections and updates from scratch
+        player.correctionSeq = 0;
+        player.lastInputSeq = 0;
+        this.log(`Player ${player.name} reconnected.`);
+        this.attachClient(playerId, ws, { ...options, resumed: true });
+        this.broadcast({ type: 'player_reconnected', payload: { id: playerId, name: player.name } }, ws);
+        return true;
+    }
+
+    attachClient(playerId, ws, options) {
+        this.clientMap.set(playerId, ws); // Map player ID to WebSocket instance
+        this.snapshotClients.set(playerId, { binary: !!options.binary, sessionToken: options.sessionToken, ackedSeq: 0, history: new Map() });
+
+        // Send initial state ('init') to the player
+        // Includes their ID, the room, the map definition, current state of all players, and active projectiles
+        ws.send(JSON.stringify({
+            type: 'init',
+            payload: {
+                id: playerId,
+                sessionToken: options.sessionToken,
+                resumed: !!options.resumed, // Rejoining after a dropped connection
+                mapChanged: !!options.mapChanged, // Already in the room, which switched to another map or mode
+                spectator: !!this.spectators[playerId], // Watching: not among the players below
+                room: this.getSummary(),
+                map: this.map, // Clients build the arena from this so everyone sees the same obstacles
+                weapons: WEAPONS, // Weapon stats (magazine sizes, fire rates, reload times) for the client
+                pickupTypes: PICKUP_TYPES, // Pickup names for the HUD
+                ...this.getClientSettings(),
+                match: this.getMatchInfo(), // Mode, phase and round timer
+                results: this.match.results, // Standings if the round just ended
+                flags: Object.values(this.flags),
+                pickups: Object.values(this.pickups).map(serializePickup),
+                players: this.getInitialPlayers(playerId), // Send snapshot of all players
+                projectiles: this.projectiles.map(p => ({ ...p, type: 'projectile' })) // Send snapshot of active projectiles
+            }
+        }));
+    }
+
+    removePlayer(playerId, reason) {
+        const player = this.players[playerId];
+        if (!player) {
+            if (this.spectators[playerId]) this.removeSpectator(playerId, reason);
+            return;
+        }
+        this.log(`Player ${player.name} ${reason}.`);
+        // A flag carrier drops the flag on leaving
+        this.dropCarriedFlag(playerId);
+        this.flushStats(player);
+        // Remove player data, WebSocket mapping and position history
+        delete this.players[playerId];
+        const wasBot = this.bots.delete(playerId);
+        this.clientMap.delete(playerId);
+        this.positionHistories.delete(playerId);
+        this.snapshotClients.delete(playerId);
+        // Broadcast to remaining players that this player left
+        this.broadcast({
+            type: 'player_left',
+            payload: { id: playerId, name: player.name }
+        });
+        // Log current player count
+        this.log(`Remaining players: ${this.getPlayerCount()}`);
+        this.emit('players_changed');
+        if (wasBot) return;
+        if (this.getHumanCount() === 0 && this.getSpectatorCount() === 0) {
+            this.emit('empty'); // Bots don't keep a room open (spectators do)
+        } else {
+            this.updateBots();
+        }
+    }
+
+    // --- Spectators ---
+
+    addSpectator(playerId, playerName, ws, options = {}) {
+        // Spectators watch without playing: they aren't in this.players, so projectiles, pickups, scores and bots
+        // ignore them. They get every game_state with every player in view, and can chat.
+        // options: as for addPlayer() (bots can't spectate)
+        this.log(`Spectator ${playerName} (${playerId}) joined.`);
+        this.spectators[playerId] = createSpectator(playerId, playerName, options.role, this.clock.now());
+        this.attachClient(playerId, ws, options);
+        this.emit('players_changed');
+        this.updateBots(); // A room that's only being watched is played by bots
+    }
+
+    removeSpectator(playerId, reason) {
+        const spectator = this.spectators[playerId];
+        this.log(`Spectator ${spectator.name} ${reason}.`);
+        delete this.spectators[playerId];
+        this.clientMap.delete(playerId);
+        this.snapshotClients.delete(playerId);
+        this.emit('players_changed');
+        if (this.getHumanCount() === 0 && this.getSpectatorCount() === 0) {
+            this.emit('empty');
+        }
+    }
+
+    setSpectating(playerId, spectating) {
+        // 'set_spectator': a player starts watching, or a spectator joins the game. Either way the client
+        // gets a fresh 'init'. Kills and deaths are kept until the round ends, and watching doesn't skip a respawn
+        const ws = this.clientMap.get(playerId);
+        const { binary, sessionToken } = this.snapshotClients.get(playerId);
+        const options = { binary: binary, sessionToken: sessionToken };
+        if (spectating) {
+            const player = this.players[playerId];
+            if (!player) return;
+            if (this.isFullOfSpectators()) {
+                this.sendChatNotice(playerId, 'There is no room for more spectators.');
+                return;
+            }
+            // Counted as a spectator before leaving the game, so the room isn't taken for empty
+            this.spectators[playerId] = createSpectator(playerId, player.name, player.role, this.clock.now());
+            Object.assign(this.spectators[playerId], { muted: player.muted, chatTimes: player.chatTimes, ping: player.ping });
+            this.spectators[playerId].round = {
+                kills: player.kills,
+                deaths: player.deaths,
+                captures: player.captures,
+                respawnTime: player.health > 0 ? 0 : player.respawnTime
+            };
+            this.removePlayer(playerId, 'is now spectating');
+            this.attachClient(playerId, ws, options);
+        } else {
+            const spectator = this.spectators[playerId];
+            if (!spectator) return;
+            if (this.isFull()) {
+                this.sendChatNotice(playerId, 'The room is full.');
+                return;
+            }
+            const respawnWait = spectator.round ? spectator.round.respawnTime - this.clock.now() : 0;
+            if (respawnWait > 0) {
+                this.sendChatNotice(playerId, `You can play again in ${Math.ceil(respawnWait / 1000)}s.`);
+                return;
+            }
+            delete this.spectators[playerId];
+            this.clientMap.delete(playerId);
+            this.snapshotClients.delete(playerId);
+            this.addPlayer(playerId, spectator.name, ws, { ...options, role: spectator.role, roundStats: spectator.round });
+            Object.assign(this.players[playerId], { muted: spectator.muted, chatTimes: spectator.chatTimes, ping: spectator.ping });
+        }
+    }
+
+    // --- Bots ---
+
+    updateBots() {
+        // Top the room up with bots to BOT_FILL_PLAYERS (within max players); bots leave again as people join
+        if (!this.settings.botDifficulty) return;
+        const wanted = Math.max(0, Math.min(BOT_FILL_PLAYERS, this.settings.maxPlayers) - this.getHumanCount());
+        while (this.bots.size < wanted) {
+            this.addBot();
+        }
+        while (this.bots.size > wanted) {
+            this.removePlayer(this.pickBotToRemove(), 'left to make room');
+        }
+    }
+
+    addBot() {
+        const playerId = `bot_${++this.botIdCounter}`;
+        const name = BOT_NAMES.find(botName => !this.isNameTaken(botName, null) && this.findPlayerByName(botName) === null) ||
+                     `Bot_${this.botIdCounter}`;
+        this.bots.set(playerId, new Bot(this, playerId, this.settings.botDifficulty));
+        this.addPlayer(playerId, name, null, { bot: true });
+    }
+
+    pickBotToRemove() {
+        // The newest bot, taken from the bigger team in team modes so the teams stay even
+        const counts = this.countTeams();
+        let chosen = null;
+        for (const id of this.bots.keys()) {
+            const team = this.players[id].team;
+            if (!chosen || !team || counts[team] >= counts[this.players[chosen].team]) chosen = id;
+        }
+        return chosen;
+    }
+
+    // --- Messages ---
+
+    handleMessage(playerId, data) {
+        const player = this.players[playerId] || this.spectators[playerId]; // Get the player data associated with this WebSocket connection
+        const ws = this.clientMap.get(playerId);
+
+        // If player doesn't exist (e.g., left shortly after message sent), ignore
+        if (!player) {
+            this.warn(`Received message from non-existent player ${playerId}`);
+            return;
+        }
+
+        // Ping replies and snapshot acks don't count as activity and are accepted while dead
+        if (data.type === 'pong') {
+            this.handlePong(player, data.payload);
+            return;
+        }
+        if (data.type === 'snapshot_ack') {
+            this.handleSnapshotAck(playerId, data.payload);
+            return;
+        }
+
+        // Update last active time
+        player.lastUpdateTime = this.clock.now();
+
+        if (this.spectators[playerId]) {
+            this.handleSpectatorMessage(player, data);
+            return;
+        }
+
+        // Ignore most actions if the player is dead (health <= 0)
+        // Allow specific messages like chat or potentially a manual respawn request later
+        if (player.health <= 0 && !['request_respawn', 'chat_message', 'set_spectator'].includes(data.type)) {
+            // Note: Player can't currently request respawn, it happens automatically via timeout
+            return;
+        }
+
+        // Process message based on its type
+        switch (data.type) {
+            case 'player_update':
+                // Validate position and rotation data before applying
+                if (isValidPosition(data.payload?.position) && isValidRotation(data.payload.rotation)) {
+                    // Ignore updates sent before the client applied our latest correction
+                    if ((data.payload.correctionSeq || 0) !== player.correctionSeq) {
+                        break;
+                    }
+                    // Updates are numbered so the client knows which of its predicted moves we've seen
+                    const inputSeq = data.payload.seq;
+                    if (Number.isInteger(inputSeq)) {
+                        if (inputSeq <= player.lastInputSeq) break; // Stale or duplicate
+                        player.lastInputSeq = inputSeq;
+                    }
+                    // Check the new position against speed, bounds, ground height and obstacles
+                    const moveError = this.validateMovement(player, data.payload.position);
+                    if (moveError) {
+                        this.sendPositionCorrection(player, ws);
+                        this.recordViolation(player, moveError);
+                        break;
+                    }
+                    player.x = data.payload.position.x;
+                    player.y = data.payload.position.y; // Eye level, validated against ground and jump height
+                    player.z = data.payload.position.z;
+                    player.pitch = data.payload.rotation.pitch;
+                    player.yaw = data.payload.rotation.yaw;
+                    player.lastMoveTime = this.clock.now();
+                } else {
+                    this.warn(`Invalid player_update data received from ${player.name}`);
+                }
+                break;
+
+            case 'shoot': {
+                const weapon = WEAPONS[player.weapon];
+                const slot = player.inventory[player.weapon];
+                // Allow shooting only if alive, not reloading, has ammo in magazine and the round isn't over
+                if (player.health > 0 && !player.reloading && slot.magazine > 0 && this.match.phase !== 'results') {
+                    const now = this.clock.now();
+                    // Enforce the weapon's fire rate (with some slack for network jitter)
+                    if (now - player.lastShotTime < weapon.fireInterval * FIRE_RATE_TOLERANCE) {
+                        this.sendAmmoUpdate(playerId); // Resync the client's predicted magazine
+                        break;
+                    }
+
+                    const direction = data.payload?.direction; // Get direction from client
+                    const startPos = data.payload?.startPos;   // Get start position from client
+
+                    // Basic validation for shoot data
+                    if (!isValidPosition(startPos) || !isValidDirection(direction)) {
+                        this.warn(`Invalid shoot data received from ${player.name}`);
+                        break; // Don't create projectile if data is bad
+                    }
+                    // Shots must start near the shooter's eye and use a unit direction
+                    const shotError = this.validateShot(player, startPos, direction);
+                    if (shotError) {
+                        this.recordViolation(player, shotError);
+                        break;
+                    }
+
+                    slot.magazine--; // Consume one round from the magazine
+                    player.lastShotTime = now;
+                    this.countStat(player, 'shotsFired', weapon.pellets); // Accuracy is per pellet
+
+                    // Create one projectile per pellet (shotguns fire several, spread around the aim direction)
+                    for (let i = 0; i < weapon.pellets; i++) {
+                        const pelletDirection = applySpread(direction, weapon.spread, this.random);
+                        const newProjectile = {
+                            id: `proj_${this.projectileIdCounter++}`,
+                            ownerId: playerId, // ID of the player who shot
+                            team: player.team, // Shooter's team (no friendly fire)
+                            weapon: player.weapon, // Damage and falloff come from this weapon
+                            spawnTime: now,
+                            // Hits are checked against where targets were when the shooter saw them: half a round trip
+                            // for the snapshot to get there, plus the client's interpolation buffer. Bots see the present
+                            rewindMs: player.bot ? 0 : Math.min(player.ping / 2 + getInterpolationDelay(), MAX_REWIND_MS),
+                            startX: startPos.x, startY: startPos.y, startZ: startPos.z, // For damage falloff
+                            x: startPos.x, y: startPos.y, z: startPos.z,
+                            // Calculate velocity based on direction and the weapon's projectile speed
+                            vx: pelletDirection.x * weapon.projectileSpeed,
+                            vy: pelletDirection.y * weapon.projectileSpeed,
+                            vz: pelletDirection.z * weapon.projectileSpeed,
+                        };
+                        this.projectiles.push(newProjectile); // Add to the list of active projectiles
+
+                        // Broadcast the creation of the projectile to all clients
+                        this.broadcast({ type: 'projectile_created', payload: { ...newProjectile } });
+                    }
+
+                    // Send an ammo update *only* to the shooter to confirm the shot
+                    this.sendAmmoUpdate(playerId);
+                }
+                break;
+            }
+
+            case 'request_reload': {
+                const weaponId = player.weapon;
+                const weapon = WEAPONS[weaponId];
+                const slot = player.inventory[weaponId];
+                // Allow reload only if alive, not already reloading, magazine not full, and has reserve ammo
+                if (player.health > 0 && !player.reloading && slot.magazine < weapon.magazineSize && slot.ammo > 0) {
+                    this.log(`Player ${player.name} starting reload (${weapon.name}).`);
+                    player.reloading = true;
+                    player.reloadStartTime = this.clock.now();
+                    const startedAt = player.reloadStartTime; // Tells this reload from a later one of the same weapon
+
+                    // Use setTimeout to handle reload completion after the weapon's reload duration
+                    this.clock.setTimeout(() => {
+                        const currentPlayer = this.players[playerId]; // Re-fetch player data in case they left during reload
+                        // Check if player still exists and is *still* the one reloading (wasn't interrupted, e.g., by death or a weapon switch)
+                        if (currentPlayer && currentPlayer.reloading && currentPlayer.reloadStartTime === startedAt &&
+                            currentPlayer.weapon === weaponId) {
+                            const currentSlot = currentPlayer.inventory[weaponId];
+                            const ammoNeeded = weapon.magazineSize - currentSlot.magazine; // How many rounds fit
+                            const ammoToMove = Math.min(ammoNeeded, currentSlot.ammo); // How many rounds available
+
+                            // Update ammo counts
+                            currentSlot.magazine += ammoToMove;
+                            currentSlot.ammo -= ammoToMove;
+                            currentPlayer.reloading = false; // Finish reloading state
+                            this.log(`Player ${currentPlayer.name} finished reload (${weapon.name}). Ammo: ${currentSlot.magazine}/${currentSlot.ammo}`);
+
+                            // Send the final ammo update to the reloaded player
+                            this.sendAmmoUpdate(playerId);
+                        } else {
+                            // Reload was cancelled (e.g. player died, switched weapons or left)
+                            this.log(`Reload cancelled for player ${playerId}`);
+                        }
+                    }, weapon.reloadDuration);
+                }
+                break;
+            }
+
+            case 'switch_weapon': {
+                const weaponId = data.payload?.weapon;
+                // Only known weapons, and only if it's actually a different one
+                if (!Object.prototype.hasOwnProperty.call(WEAPONS, weaponId) || weaponId === player.weapon) {
+                    break;
+                }
+                player.weapon = weaponId;
+                player.reloading = false; // Switching weapons cancels a reload in progress
+                this.sendAmmoUpdate(playerId);
+                break;
+            }
+
+            case 'chat_message':
+                this.handleChatMessage(player, data.payload);
+                break;
+
+            case 'set_spectator':
+                if (data.payload?.spectating === true) this.setSpectating(playerId, true);
+                break;
+        }
+    }
+
+    handleSpectatorMessage(spectator, data) {
+        // Spectators can only chat and join the game
+        switch (data.type) {
+            case 'chat_message':
+                this.handleChatMessage(spectator, data.payload);
+                break;
+
+            case 'set_spectator':
+                if (data.payload?.spectating === false) this.setSpectating(spectator.id, false);
+                break;
+        }
+    }
+
+    // --- Chat ---
+
+    handleChatMessage(player, payload) {
+        // payload: { text, team } - team: only to teammates (falls back to everyone in free-for-all)
+        const text = typeof payload?.text === 'string' ? payload.text.trim() : '';
+        if (text === '') return;
+
+        // Rate limit everything, commands included
+        const now = this.clock.now();
+        player.chatTimes = player.chatTimes.filter(time => now - time < CHAT_RATE_WINDOW);
+        if (player.chatTimes.length >= CHAT_RATE_LIMIT) {
+            this.sendChatNotice(player.id, 'You are sending messages too fast.');
+            return;
+        }
+        player.chatTimes.push(now);
+
+        if (text.startsWith('/')) {
+            this.runChatCommand(player, parseCommand(text));
+            return;
+        }
+        if (player.muted) {
+            this.sendChatNotice(player.id, 'You are muted.');
+            return;
+        }
+
+        const teamOnly = !!payload.team && player.team !== null;
+        const message = {
+            type: 'chat_message',
+            payload: {
+                id: player.id,
+                name: player.name,
+                team: player.team,
+                teamOnly: teamOnly,
+                text: filterProfanity(text.substring(0, CHAT_MAX_LENGTH))
+            }
+        };
+        this.log(`[${teamOnly ? `chat/${player.team}` : 'chat'}] ${player.name}: ${message.payload.text}`);
+        if (teamOnly) {
+            this.broadcastToTeam(player.team, message);
+        } else {
+            this.broadcast(message);
+        }
+    }
+
+    runChatCommand(player, command) {
+        const isAdmin = player.role === 'admin';
+        switch (command.name) {
+            case 'help': {
+                const commands = ['/name <new name>', '/stats [player]'];
+                if (isAdmin) commands.push('/kick <player> [reason]', '/mute <player>', '/unmute <player>');
+                else if (this.adminPassword) commands.push('/login <password>');
+                this.sendChatNotice(player.id, `Commands: ${commands.join(', ')}`);
+                break;
+            }
+
+            case 'name': {
+                const newName = command.args[0];
+                if (!isValidPlayerName(newName)) {
+                    this.sendChatNotice(player.id, `Names are ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} letters, digits, '_' or '-'.`);
+                } else if (newName === player.name) {
+                    this.sendChatNotice(player.id, `You are already called ${newName}.`);
+                } else if (containsProfanity(newName)) {
+                    this.sendChatNotice(player.id, 'Please pick a different name.');
+                } else if (this.isNameTaken(newName, player.id)) {
+                    this.sendChatNotice(player.id, `The name ${newName} is already taken.`);
+                } else {
+                    const oldName = player.name;
+                    player.name = newName; // Everyone picks it up from the next snapshot
+                    this.broadcastChatNotice(`${oldName} is now known as ${newName}.`);
+                    this.emit('player_renamed', player.id, newName);
+                }
+                break;
+            }
+
+            case 'stats': {
+                const target = command.args[0] ? this.findPlayerByName(command.args[0]) : this.players[player.id];
+                if (!target) {
+                    this.sendChatNotice(player.id, command.args[0] ? `No player called ${command.args[0]} in this room.` : 'Spectators have no stats.');
+                    break;
+                }
+                const ratio = target.deaths > 0 ? (target.kills / target.deaths).toFixed(2) : target.kills.toFixed(2);
+                const minutes = Math.floor((this.clock.now() - target.joinTime) / 60000);
+                let stats = `${target.name}: ${target.kills} kills, ${target.deaths} deaths (K/D ${ratio})`;
+                if (this.match.mode === 'ctf') stats += `, ${target.captures} captures`;
+                this.sendChatNotice(player.id, `${stats}, ping ${target.ping} ms, ${minutes} min in room.`);
+                break;
+            }
+
+            case 'login':
+                if (!this.adminPassword || command.args[0] !== this.adminPassword) {
+                    this.sendChatNotice(player.id, 'Login failed.');
+                    break;
+                }
+                player.role = 'admin';
+                this.log(`Player ${player.name} logged in as admin.`);
+                this.sendChatNotice(player.id, 'You are now an admin.');
+                break;
+
+            case 'kick':
+            case 'mute':
+            case 'unmute': {
+                if (!isAdmin) {
+                    this.sendChatNotice(player.id, `Only admins can use /${command.name}.`);
+                    break;
+                }
+                const target = this.findPlayerByName(command.args[0] || '') || this.findSpectatorByName(command.args[0] || '');
+                if (!target) {
+                    this.sendChatNotice(player.id, `No player called ${command.args[0] || '(none)'} in this room.`);
+                } else if (target.id === player.id) {
+                    this.sendChatNotice(player.id, `You can't /${command.name} yourself.`);
+                } else if (command.name === 'kick') {
+                    const reason = command.args.slice(1).join(' ') || 'Kicked by an admin';
+                    this.broadcastChatNotice(`${target.name} was kicked by ${player.name}.`);
+                    this.kickPlayer(target.id, reason);
+                } else {
+                    target.muted = command.name === 'mute';
+                    this.log(`Player ${target.name} ${target.muted ? 'muted' : 'unmuted'} by ${player.name}.`);
+                    this.sendChatNotice(player.id, `${target.name} is ${target.muted ? 'muted' : 'no longer muted'}.`);
+                    this.sendChatNotice(target.id, `You were ${target.muted ? 'muted' : 'unmuted'} by an admin.`);
+                }
+                break;
+            }
+
+            default:
+                this.sendChatNotice(player.id, `Unknown command /${command.name}. Type /help for a list.`);
+        }
+    }
+
+    findPlayerByName(playerName, exceptId = null) {
+        // Names are unique regardless of case
+        const wanted = playerName.toLowerCase();
+        return Object.values(this.players).find(p => p.id !== exceptId && p.name.toLowerCase() === wanted) || null;
+    }
+
+    findSpectatorByName(spectatorName, exceptId = null) {
+        const wanted = spectatorName.toLowerCase();
+        return Object.values(this.spectators).find(s => s.id !== exceptId && s.name.toLowerCase() === wanted) || null;
+    }
+
+    sendChatNotice(playerId, text) {
+        // Server replies to a single player (command results, rate limit warnings)
+        const ws = this.clientMap.get(playerId);
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'chat_notice', payload: { text: text } }));
+        }
+    }
+
+    broadcastChatNotice(text) {
+        this.broadcast({ type: 'chat_notice', payload: { text: text } });
+    }
+
+    // --- Main Game Loop ---
+
+    tick() {
+        const now = this.clock.now();
+        // Calculate delta time in seconds, capping to prevent large jumps if server hangs
+        const deltaTime = Math.min((now - this.lastTickTime) / 1000.0, 0.1);
+        this.lastTickTime = now;
+        const players = this.players;
+
+        // Events are collected until the next snapshot goes out (see sendSnapshots)
+        const hitEvents = this.pendingEvents.hits;
+        const expiredProjectiles = this.pendingEvents.removedProjectiles;
+        const deathEvents = this.pendingEvents.deaths;
+
+        // --- 0. Record Player Positions for Lag Compensation ---
+        for (const id in players) {
+            this.recordPositionHistory(players[id], now);
+        }
+
+        // --- 0b. Let Bots Move and Shoot ---
+        for (const bot of this.bots.values()) {
+            bot.update(now, deltaTime);
+        }
+
+        // --- 1. Update Projectiles and Check Collisions ---
+        this.projectiles = this.projectiles.filter(p => { // Filter keeps projectiles that should remain active
+            // Remember where the projectile was at the start of this tick
+            const prevX = p.x, prevY = p.y, prevZ = p.z;
+
+            // Update projectile position based on velocity and delta time
+            p.x += p.vx * deltaTime;
+            p.y += p.vy * deltaTime;
+            p.z += p.vz * deltaTime;
+
+            // Check if projectile lifetime expired or went out of bounds (e.g., fell through floor or left the map)
+            if (now - p.spawnTime > PROJECTILE_LIFETIME || p.y < -5 || !isInsideBounds(this.map.bounds, p.x, p.z, 5)) {
+                expiredProjectiles.push(p.id); // Add ID to list for removal notification
+                return false; // Remove projectile from the main list
+            }
+
+            // Find where the segment travelled this tick first enters an obstacle (cover blocks shots)
+            let blockedAt = Infinity; // Segment parameter (0..1) of the first obstacle hit
+            for (const box of this.obstacles) {
+                const t = segmentBoxIntersection(prevX, prevY, prevZ, p.x, p.y, p.z, box);
+                if (t !== null && t < blockedAt) blockedAt = t;
+            }
+
+            // Find the closest player hitbox along the segment, in front of any obstacle
+            let closestHit = null; // { targetId, zone, t }
+            for (const targetId in players) {
+                if (p.ownerId === targetId) continue; // Projectile shouldn't hit its owner
+                const target = players[targetId];
+                // Skip collision check if target doesn't exist or is already dead
+                if (!target || target.health <= 0) continue;
+                // No friendly fire: projectiles pass through teammates
+                if (p.team && p.team === target.team) continue;
+
+                // --- Collision Detection Logic ---
+                // Rewind the target to where the shooter saw it (falls back to the current position)
+                const targetPos = this.getRewoundPosition(targetId, now - p.rewindMs) || target;
+                const hit = traceHitboxes(prevX, prevY, prevZ, p.x, p.y, p.z, targetPos);
+                if (hit && hit.t < blockedAt && (!closestHit || hit.t < closestHit.t)) {
+                    closestHit = { targetId: targetId, zone: hit.zone, t: hit.t };
+                }
+            }
+
+            if (!closestHit) {
+                if (blockedAt !== Infinity) {
+                    expiredProjectiles.push(p.id);
+                    return false; // Projectile stopped by the obstacle
+                }
+                return true; // Keep projectile if nothing was hit this tick
+            }
+
+            const targetId = closestHit.targetId;
+            const target = players[targetId];
+            // Damage falls off with the distance travelled up to the hit point, then scales by body zone
+            const hitX = prevX + (p.x - prevX) * closestHit.t;
+            const hitY = prevY + (p.y - prevY) * closestHit.t;
+            const hitZ = prevZ + (p.z - prevZ) * closestHit.t;
+            const distance = Math.sqrt((hitX - p.startX) ** 2 + (hitY - p.startY) ** 2 + (hitZ - p.startZ) ** 2);
+            const fullDamage = Math.max(1, Math.round(getProjectileDamage(p.weapon, distance) * ZONE_DAMAGE_MULTIPLIERS[closestHit.zone]));
+            // Armor takes its share of the hit while it lasts; the rest comes off health
+            const absorbed = Math.min(target.armor, Math.round(fullDamage * ARMOR_ABSORPTION));
+            const damage = fullDamage - absorbed;
+            if (absorbed > 0) {
+                target.armor -= absorbed;
+                this.sendArmorUpdate(targetId);
+            }
+            target.health -= damage; // Apply damage
+            expiredProjectiles.push(p.id); // Mark projectile for removal after hit
+
+            const attacker = players[p.ownerId]; // Get attacker data
+            const attackerName = attacker?.name || 'Unknown'; // Get attacker name
+            if (attacker) this.countStat(attacker, 'hits');
+
+            // Record the hit event
+            hitEvents.push({
+                targetId: targetId,
+                newHealth: target.health, // Send the health *after* damage
+                damage: damage,
+                zone: closestHit.zone, // Body part hit ('head', 'torso', 'arms' or 'legs')
+                weapon: p.weapon,
+                attackerId: p.ownerId,
+                attackerName: attackerName
+            });
+
+            this.log(`Player ${target.name} hit by ${attackerName} (${closestHit.zone}). Health: ${target.health}`);
+
+            // --- Check for Death ---
+            if (target.health <= 0) {
+                target.health = 0; // Ensure health doesn't go negative
+                target.deaths++; // Increment deaths for the target
+                target.streak = 0;
+                this.countStat(target, 'deaths');
+                target.reloading = false; // Cancel any active reload on death
+                this.log(`Player ${target.name} defeated by ${attackerName}.`);
+
+                // Record the death event
+                deathEvents.push({
+                    victimId: targetId,
+                    victimName: target.name,
+                    attackerId: p.ownerId,
+                    attackerName: attackerName,
+                    weapon: p.weapon,
+                    zone: closestHit.zone // Zone of the killing blow (headshot kills are marked in the kill feed)
+                });
+
+                // Award kill to the attacker (if not self-inflicted)
+                if (attacker && attacker.id !== targetId) {
+                    this.pendingKillcams.push({ victimId: targetId, attackerId: attacker.id });
+                    attacker.kills++;
+                    this.countStat(attacker, 'kills');
+                    if (this.match.phase === 'playing') {
+                        attacker.streak++;
+                        attacker.pendingStats.bestStreak = Math.max(attacker.pendingStats.bestStreak, attacker.streak);
+                    }
+                    // In team deathmatch every kill also scores for the attacker's team
+                    if (this.match.mode === 'tdm' && attacker.team) {
+                        this.match.teamScores[attacker.team]++;
+                    }
+                }
+
+                // A flag carrier drops the flag where they died
+                this.dropCarriedFlag(targetId);
+
+                // Log updated stats
+                this.log(`Stats ${target.name}: ${target.kills} K / ${target.deaths} D`);
+                if (attacker) {
+                    this.log(`Stats ${attacker.name}: ${attacker.kills} K / ${attacker.deaths} D`);
+                }
+
+                // Schedule the player's respawn after RESPAWN_TIME
+                target.respawnTime = this.clock.now() + runtimeSettings.RESPAWN_TIME;
+                this.clock.setTimeout(() => this.respawnPlayer(targetId), runtimeSettings.RESPAWN_TIME);
+            }
+            return false; // Remove projectile from list after hit
+        });
+
+        // --- 1b. Flags, Pickups and Match Progress ---
+        if (this.match.mode === 'ctf' && this.match.phase !== 'results') {
+            this.updateFlags(now);
+        }
+        this.updatePickups(now);
+        this.updateMatch(now);
+
+        // --- 2. Check for Inactive Players ---
+        for (const playerId in players) {
+            // Disconnected players are waiting for their session to resume or expire instead; bots are never idle
+            if (players[playerId].disconnected || players[playerId].bot) continue;
+            // If player hasn't sent an update in a while
+            if (now - players[playerId].lastUpdateTime > runtimeSettings.INACTIVITY_TIMEOUT) {
+                const wsInstance = this.clientMap.get(playerId);
+                const playerName = players[playerId]?.name || playerId;
+                if (wsInstance) {
+                    this.log(`Disconnecting inactive player ${playerName}.`);
+                    players[playerId].kicked = true; // Inactive players don't get their slot held
+                    wsInstance.terminate(); // Force close the connection
+                    // The 'close' event listener will remove the player from the room
+                } else {
+                    // If somehow wsInstance is gone but player data remains (shouldn't happen often)
+                    this.removePlayer(playerId, 'removed due to inactivity (no WS found)');
+                }
+            }
+        }
+    }
+
+    // --- Snapshots ---
+
+    sendSnapshots() {
+        // One game_state per client: only what changed since its acknowledged snapshot, only players it can see
+        const now = this.clock.now();
+        const events = this.pendingEvents;
+        this.pendingEvents = createEventBuffer();
+        const seq = ++this.snapshotSeq;
+
+        // Shared, immutable parts of every client's view
+        const visibleStates = {};
+        const hiddenStates = {};
+        for (const id in this.players) {
+            visibleStates[id] = serializePlayer(this.players[id], true);
+            hiddenStates[id] = serializePlayer(this.players[id], false);
+        }
+        const flags = {};
+        for (const team in this.flags) {
+            const { x, y, z, state, carrierId } = this.flags[team];
+            flags[team] = { x: x, y: y, z: z, state: state, carrierId: carrierId };
+        }
+        const match = this.getSnapshotMatchInfo();
+        const eventFields = {};
+        for (const key in events) {
+            if (events[key].length > 0) eventFields[key] = events[key];
+        }
+        this.recorder.recordState(now, { players: visibleStates, flags: flags, match: match }, eventFields);
+
+        // For the bandwidth counter: the size of the old full snapshot, broadcast to everyone
+        let fullBytes = 0;
+        if (this.snapshotClients.size > 0) {
+            fullBytes = Buffer.byteLength(JSON.stringify({
+                type: 'game_state',
+                payload: { players: this.players, ...events, match: this.getMatchInfo(), flags: Object.values(this.flags) }
+            }));
+        }
+
+        for (const [playerId, client] of this.snapshotClients) {
+            const ws = this.clientMap.get(playerId);
+            const viewer = this.players[playerId];
+            const spectating = !!this.spectators[playerId];
+            if (!ws || ws.readyState !== WebSocket.OPEN || (!viewer && !spectating)) continue;
+
+            const view = { players: {}, flags: flags, match: match };
+            for (const id in this.players) {
+                // Spectators can be looking from anywhere (or through anyone's eyes), so they see everyone
+                view.players[id] = spectating || isInInterest(viewer, this.players[id], this.obstacles) ? visibleStates[id] : hiddenStates[id];
+            }
+            // The client's own entry also says which of its updates the position reflects
+            if (viewer) view.players[playerId] = { ...visibleStates[playerId], inputSeq: viewer.lastInputSeq };
+
+            // Delta against the acknowledged snapshot, or a full snapshot if it's no longer in the history
+            const baseView = client.history.get(client.ackedSeq);
+            const payload = { seq: seq, baseline: baseView ? client.ackedSeq : 0, time: now, ...buildDelta(baseView, view), ...eventFields };
+            client.history.set(seq, view);
+            for (const oldSeq of client.history.keys()) { // Map keeps insertion (= seq) order
+                if (client.history.size <= SNAPSHOT_HISTORY_SIZE && oldSeq >= client.ackedSeq) break;
+                client.history.delete(oldSeq);
+            }
+
+            const data = client.binary ? encodeSnapshot(payload) : JSON.stringify({ type: 'game_state', payload: payload });
+            ws.send(data);
+            this.bandwidth.sentBytes += typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+            this.bandwidth.fullBytes += fullBytes;
+        }
+        this.sendKillcams(); // After recording this snapshot, so the footage includes the killing blow
+
+        // Periodic bandwidth report
+        const elapsed = now - this.bandwidth.since;
+        if (elapsed >= BANDWIDTH_LOG_INTERVAL) {
+            const { sentBytes, fullBytes: fullTotal } = this.bandwidth;
+            if (sentBytes > 0) {
+                const saved = fullTotal > 0 ? Math.round((1 - sentBytes / fullTotal) * 100) : 0;
+                this.log(`Bandwidth: snapshots ${(sentBytes / elapsed).toFixed(1)} KB/s (full snapshots would be ${(fullTotal / elapsed).toFixed(1)} KB/s, ${saved}% saved)`);
+            }
+            this.bandwidth = { sentBytes: 0, fullBytes: 0, since: now };
+        }
+    }
+
+    sendKillcams() {
+        // Show everyone killed since the last snapshot the last moments from their killer's point of view
+        for (const { victimId, attackerId } of this.pendingKillcams) {
+            const ws = this.clientMap.get(victimId);
+            const attacker = this.players[attackerId];
+            if (!ws || ws.readyState !== WebSocket.OPEN || !attacker) continue;
+            const killcam = this.recorder.getKillcam(attackerId);
+            if (killcam) {
+                ws.send(JSON.stringify({ type: 'killcam', payload: { attackerId: attackerId, attackerName: attacker.name, ...killcam } }));
+            }
+        }
+        this.pendingKillcams = [];
+    }
+
+    handleSnapshotAck(playerId, payload) {
+        const client = this.snapshotClients.get(playerId);
+        const seq = payload?.seq;
+        // Acks only move forward, and only to snapshots we actually sent
+        if (client && Number.isInteger(seq) && seq > client.ackedSeq && client.history.has(seq)) {
+            client.ackedSeq = seq;
+        }
+    }
+
+    getSnapshotMatchInfo() {
+        // Match info with the timer rounded up to whole seconds, so it only changes once a second
+        const { teamScores, ...info } = this.getMatchInfo();
+        info.timeLeft = Math.ceil(info.timeLeft / 1000) * 1000;
+        info.redScore = teamScores.red;
+        info.blueScore = teamScores.blue;
+        return info;
+    }
+
+    getInitialPlayers(playerId) {
+        // Public state of every player for 'init'; the joining player also gets their own inventory and armor
+        const players = {};
+        for (const id in this.players) {
+            players[id] = serializePlayer(this.players[id], true);
+        }
+        if (this.players[playerId]) { // Not for spectators
+            players[playerId].inventory = this.players[playerId].inventory;
+            players[playerId].armor = this.players[playerId].armor;
+        }
+        return players;
+    }
+
+    // --- Helper Functions ---
+
+    respawnPlayer(playerId, force = false) {
+        const player = this.players[playerId];
+        if (player) {
+            // Only respawn if the player is actually dead (health <= 0), unless forced (round reset)
+            // Prevents accidental respawn if the timeout fires after they somehow got health back
+            if (player.health <= 0 || force) {
+                this.log(`Respawning player ${player.name}`);
+                // Reset position to one of the map's spawn points (the team's own, if the map has them)
+                const spawnPoint = this.getSpawnPoint(player.team);
+                player.x = spawnPoint.x;
+                player.y = PLAYER_EYE_LEVEL; // Reset Y to approx eye level
+                player.z = spawnPoint.z;
+                // Reset stats
+                player.health = START_HEALTH;
+                player.armor = 0; // Armor has to be picked up again
+                player.inventory = createInventory(); // Give every weapon full ammo on respawn
+                player.reloading = false; // Ensure not reloading
+                player.lastUpdateTime = this.clock.now(); // Update timestamp
+                player.lastMoveTime = this.clock.now(); // Movement checks start again from the spawn point
+                this.positionHistories.delete(playerId); // Don't let rewound shots hit the old (pre-death) position
+
+                // Broadcast the respawn event so clients can update the player's state/visibility
+                this.broadcast({
+                    type: 'player_respawned',
+                    payload: {
+                        id: playerId,
+                        x: player.x, y: player.y, z: player.z, // Send new position
+                        health: player.health,
+                        armor: player.armor, // Only meaningful to the respawned player
+                        team: player.team, // May change when teams are balanced between rounds
+                        weapon: player.weapon, inventory: player.inventory // Send new ammo state
+                    }
+                });
+            } else {
+                this.log(`Respawn called for player ${player.name}, but they are not dead (Health: ${player.health}). Skipping.`);
+            }
+        } else {
+            // This might happen if the player left right before the respawn timer fired
+            this.log(`Attempted to respawn player ${playerId}, but they no longer exist.`);
+        }
+    }
+
+    getSpawnPoint(team = null) {
+        // Pick a random spawn point from the map, using the team's spawn points if there are any
+        const points = (team && this.map.teamSpawnPoints?.[team]) || this.map.spawnPoints;
+        return points[Math.floor(this.random() * points.length)];
+    }
+
+    sendAmmoUpdate(playerId, weaponId = null) {
+        // Ammo updates are per weapon (the equipped one unless given) and only go to the player who owns the weapon
+        const player = this.players[playerId];
+        const ws = this.clientMap.get(playerId);
+        if (player && ws && ws.readyState === WebSocket.OPEN) {
+            weaponId = weaponId || player.weapon;
+            const slot = player.inventory[weaponId];
+            ws.send(JSON.stringify({
+                type: 'ammo_update',
+                payload: { weapon: weaponId, magazine: slot.magazine, ammo: slot.ammo }
+            }));
+        }
+    }
+
+    sendArmorUpdate(playerId) {
+        // Armor isn't part of the snapshots: only its owner needs to know
+        const player = this.players[playerId];
+        const ws = this.clientMap.get(playerId);
+        if (player && ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'armor_update', payload: { armor: player.armor } }));
+        }
+    }
+
+    broadcastToTeam(team, message) {
+        const messageString = JSON.stringify(message);
+        for (const [playerId, client] of this.clientMap) {
+            if (this.players[playerId]?.team === team && client.readyState === WebSocket.OPEN) {
+                client.send(messageString);
+            }
+        }
+    }
+
+    broadcast(message, senderWs = null) {
+        this.recorder.recordMessage(this.clock.now(), message);
+        const messageString = JSON.stringify(message);
+        // Iterate over the clientMap's values (WebSocket instances)
+        this.clientMap.forEach((client) => {
+            // Send to all clients *except* the sender (if specified) and only if connection is open
+            if (client !== senderWs && client.readyState === WebSocket.OPEN) {
+                try {
+                    client.send(messageString);
+                } catch (error) {
+                    logger.error(`room:${this.name}`, 'Error broadcasting message to a client', { roomId: this.id, error: error });
+                }
+            }
+        });
+    }
+
+    // --- Lag Compensation Functions ---
+
+    handlePong(player, payload) {
+        const sentAt = payload?.t;
+        const rtt = this.clock.now() - sentAt;
+        // Ignore malformed or implausible samples (the timestamp is ours, so it can't be in the future)
+        if (!Number.isFinite(rtt) || rtt < 0 || rtt > 10000) return;
+        // Exponentially smoothed RTT; the first sample is taken as-is
+        player.ping = player.ping > 0 ? Math.round(player.ping + (rtt - player.ping) * RTT_SMOOTHING) : rtt;
+    }
+
+    recordPositionHistory(player, time) {
+        // Fixed-size ring buffer per player: overwrite the oldest sample once full
+        let history = this.positionHistories.get(player.id);
+        if (!history) {
+            history = { samples: new Array(POSITION_HISTORY_SIZE), start: 0, count: 0 };
+            this.positionHistories.set(player.id, history);
+        }
+        const sample = { time: time, x: player.x, y: player.y, z: player.z, yaw: player.yaw };
+        if (history.count < POSITION_HISTORY_SIZE) {
+            history.samples[(history.start + history.count) % POSITION_HISTORY_SIZE] = sample;
+            history.count++;
+        } else {
+            history.samples[history.start] = sample;
+            history.start = (history.start + 1) % POSITION_HISTORY_SIZE;
+        }
+    }
+
+    getRewoundPosition(playerId, time) {
+        // Returns the player's interpolated position at 'time', or null if there is no history
+        const history = this.positionHistories.get(playerId);
+        if (!history || history.count === 0) return null;
+
+        const sampleAt = (i) => history.samples[(history.start + i) % POSITION_HISTORY_SIZE];
+        const oldest = sampleAt(0);
+        const newest = sampleAt(history.count - 1);
+        if (time <= oldest.time) return oldest; // Older than the buffer: use the oldest sample we have
+        if (time >= newest.time) return newest;
+
+        // Walk back from the newest sample to find the pair surrounding 'time'
+        for (let i = history.count - 1; i > 0; i--) {
+            const after = sampleAt(i);
+            const before = sampleAt(i - 1);
+            if (before.time <= time) {
+                const t = (time - before.time) / (after.time - before.time || 1);
+                return {
+                    x: before.x + (after.x - before.x) * t,
+                    y: before.y + (after.y - before.y) * t,
+                    z: before.z + (after.z - before.z) * t,
+                    yaw: t < 0.5 ? before.yaw : after.yaw // Snap yaw to the nearer sample (avoids wrap-around issues)
+                };
+            }
+        }
+        return oldest;
+    }
+
+    // --- Anti-cheat Functions ---
+
+    validateMovement(player, pos) {
+        // Returns a description of the problem, or null if the move is acceptable
+        const elapsed = (this.clock.now() - player.lastMoveTime) / 1000;
+        const dx = pos.x - player.x;
+        const dz = pos.z - player.z;
+        const maxDistance = PLAYER_MAX_SPEED * MOVE_SPEED_TOLERANCE * elapsed + MOVE_DISTANCE_TOLERANCE;
+        if (dx * dx + dz * dz > maxDistance * maxDistance) {
+            return `moved too fast (${Math.sqrt(dx * dx + dz * dz).toFixed(2)} units in ${elapsed.toFixed(3)}s)`;
+        }
+        if (!isInsideBounds(this.map.bounds, pos.x, pos.z)) {
+            return `left the map bounds (${pos.x.toFixed(2)}, ${pos.z.toFixed(2)})`;
+        }
+        if (pos.y < PLAYER_EYE_LEVEL - GROUND_TOLERANCE) {
+            return `went below the ground (y=${pos.y.toFixed(2)})`;
+        }
+        if (pos.y > PLAYER_EYE_LEVEL + MAX_JUMP_HEIGHT) {
+            return `is flying (y=${pos.y.toFixed(2)})`;
+        }
+        // Only reject moves *into* an obstacle, so a player already overlapping one can still walk out
+        for (const box of this.obstacles) {
+            if (playerOverlapsBox(pos.x, pos.y, pos.z, box) && !playerOverlapsBox(player.x, player.y, player.z, box)) {
+                return `walked into an obstacle at (${pos.x.toFixed(2)}, ${pos.z.toFixed(2)})`;
+            }
+        }
+        return null;
+    }
+
+    validateShot(player, startPos, direction) {
+        // Returns a description of the problem, or null if the shot is acceptable
+        const dx = startPos.x - player.x;
+        const dy = startPos.y - player.y;
+        const dz = startPos.z - player.z;
+        if (dx * dx + dy * dy + dz * dz > SHOOT_ORIGIN_TOLERANCE * SHOOT_ORIGIN_TOLERANCE) {
+            return `shot from too far away (${Math.sqrt(dx * dx + dy * dy + dz * dz).toFixed(2)} units from eye)`;
+        }
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        if (Math.abs(length - 1) > DIRECTION_LENGTH_TOLERANCE) {
+            return `sent a non-normalized shot direction (length ${length.toFixed(3)})`;
+        }
+        return null;
+    }
+
+    sendPositionCorrection(player, ws) {
+        // Tell the client to snap back to the last accepted position
+        player.correctionSeq++;
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'position_correction',
+                payload: { x: player.x, y: player.y, z: player.z, correctionSeq: player.correctionSeq, inputSeq: player.lastInputSeq }
+            }));
+        }
+    }
+
+    recordViolation(player, reason) {
+        const now = this.clock.now();
+        // Forgive part of the score for the time played cleanly since the last violation
+        const cleanSeconds = (now - player.lastViolationTime) / 1000;
+        player.violationScore = Math.max(0, player.violationScore - cleanSeconds * VIOLATION_DECAY_RATE) + 1;
+        player.lastViolationTime = now;
+        this.warn(`Anti-cheat: ${player.name} (${player.id}) ${reason} [score ${player.violationScore.toFixed(1)}/${VIOLATION_KICK_THRESHOLD}]`);
+
+        if (player.violationScore >= VIOLATION_KICK_THRESHOLD) {
+            this.kickPlayer(player.id, 'Repeated invalid movement or shooting');
+        }
+    }
+
+    kickPlayer(playerId, reason) {
+        const ws = this.clientMap.get(playerId);
+        const player = this.players[playerId] || this.spectators[playerId];
+        this.warn(`Kicking player ${player?.name || playerId}: ${reason}`);
+        if (player) player.kicked = true; // Closing the socket must not keep the slot
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'kicked', payload: { reason: reason } }));
+            ws.close(4000, 'Kicked'); // The 'close' event listener will remove the player from the room
+        } else {
+            this.removePlayer(playerId, `kicked (${reason})`);
+        }
+    }
+
+    // --- Match Functions ---
+
+    getMatchInfo() {
+        // Public match state, sent in 'init', 'match_phase' and every 'game_state'
+        const match = this.match;
+        const modeConfig = GAME_MODES[match.mode];
+        return {
+            mode: match.mode,
+            modeName: modeConfig.name,
+            teams: modeConfig.teams,
+            phase: match.phase,
+            timeLeft: Math.max(0, match.phaseEndTime - this.clock.now()), // ms left in the current phase
+            waitingForPlayers: match.phase === 'warmup' && this.getPlayerCount() < MIN_PLAYERS_TO_START,
+            scoreLimit: modeConfig.scoreLimit,
+            teamScores: match.teamScores
+        };
+    }
+
+    updateMatch(now) {
+        // Advance the match phases; called every tick
+        const match = this.match;
+        switch (match.phase) {
+            case 'warmup':
+                if (this.getPlayerCount() < MIN_PLAYERS_TO_START) {
+                    match.phaseEndTime = now + WARMUP_DURATION; // Hold the countdown until enough players are here
+                } else if (now >= match.phaseEndTime) {
+                    this.resetRound(); // Warmup kills don't count
+                    this.recorder.startRecording(now);
+                    this.setMatchPhase('playing', now + runtimeSettings.ROUND_DURATION);
+                }
+                break;
+            case 'playing':
+                if (now >= match.phaseEndTime || this.getLeadingScore() >= GAME_MODES[match.mode].scoreLimit) {
+                    this.endRound(now);
+                }
+                break;
+            case 'results':
+                if (now >= match.phaseEndTime) {
+                    this.resetRound();
+                    this.setMatchPhase('warmup', now + WARMUP_DURATION);
+                }
+                break;
+        }
+    }
+
+    setMatchPhase(phase, phaseEndTime) {
+        this.match.phase = phase;
+        this.match.phaseEndTime = phaseEndTime;
+        this.log(`Match phase: ${phase} (${Math.round((phaseEndTime - this.clock.now()) / 1000)}s)`);
+        this.broadcast({ type: 'match_phase', payload: this.getMatchInfo() });
+        this.emit('players_changed'); // The lobby shows each room's phase
+    }
+
+    endRound(now) {
+        // Stop the fighting: clear projectiles in flight and show the results until the reset
+        this.clearProjectiles();
+        this.match.results = this.buildResults();
+        this.log(`Round over. Winner: ${this.match.results.winnerName || 'draw'}`);
+        for (const id in this.players) {
+            const player = this.players[id];
+            player.pendingStats.matchesPlayed++;
+            this.flushStats(player);
+        }
+        this.setMatchPhase('results', now + RESULTS_DURATION);
+        this.broadcast({ type: 'match_ended', payload: this.match.results });
+        this.recorder.finishRecording();
+    }
+
+    resetRound() {
+        // Fresh stats, balanced teams, flags at their bases and everyone respawned with full health and ammo
+        this.match.teamScores = { red: 0, blue: 0 };
+        this.match.results = null;
+        this.balanceTeams();
+        this.clearProjectiles();
+        this.resetFlags();
+        this.resetPickups();
+        for (const id in this.players) {
+            const player = this.players[id];
+            player.kills = 0;
+            player.deaths = 0;
+            player.captures = 0;
+            player.streak = 0;
+            this.respawnPlayer(id, true);
+        }
+        for (const id in this.spectators) {
+            this.spectators[id].round = null;
+        }
+    }
+
+    countStat(player, stat, amount = 1) {
+        // Lifetime stats only count while a round is being played (not in warmup)
+        if (this.match.phase === 'playing') {
+            player.pendingStats[stat] += amount;
+        }
+    }
+
+    flushStats(player) {
+        // Hand the stats earned since the last flush to whoever keeps lifetime stats (see server/game-server.js)
+        const stats = player.pendingStats;
+        if (Object.values(stats).some(value => value > 0)) {
+            this.emit('player_stats', player.id, stats);
+        }
+        player.pendingStats = createPendingStats();
+    }
+
+    clearProjectiles() {
+        // Projectiles removed outside the tick loop are announced in the next game_state
+        for (const p of this.projectiles) this.pendingEvents.removedProjectiles.push(p.id);
+        this.projectiles = [];
+    }
+
+    getLeadingScore() {
+        // Team score in team modes, otherwise the most kills by a single player
+        if (GAME_MODES[this.match.mode].teams) {
+            return Math.max(this.match.teamScores.red, this.match.teamScores.blue);
+        }
+        return Math.max(0, ...Object.values(this.players).map(p => p.kills));
+    }
+
+    buildResults() {
+        const match = this.match;
+        const modeConfig = GAME_MODES[match.mode];
+        const standings = Object.values(this.players)
+            .map(p => ({ id: p.id, name: p.name, team: p.team, kills: p.kills, deaths: p.deaths, captures: p.captures }))
+            .sort((a, b) => b.captures - a.captures || b.kills - a.kills || a.deaths - b.deaths);
+
+        // Winner is a team in team modes, otherwise the player with the most kills (null on a draw)
+        let winner = null;
+        let winnerName = null;
+        if (modeConfig.teams) {
+            if (match.teamScores.red !== match.teamScores.blue) {
+                winner = match.teamScores.red > match.teamScores.blue ? 'red' : 'blue';
+                winnerName = winner === 'red' ? 'Red team' : 'Blue team';
+            }
+        } else if (standings.length > 0 && (standings.length === 1 || standings[0].kills > standings[1].kills)) {
+            winner = standings[0].id;
+            winnerName = standings[0].name;
+        }
+        return {
+            mode: match.mode,
+            modeName: modeConfig.name,
+            teamScores: { ...match.teamScores },
+            winner: winner,
+            winnerName: winnerName,
+            standings: standings
+        };
+    }
+
+    // --- Team Functions ---
+
+    countTeams() {
+        const counts = { red: 0, blue: 0 };
+        for (const id in this.players) {
+            if (this.players[id].team) counts[this.players[id].team]++;
+        }
+        return counts;
+    }
+
+    pickTeam() {
+        // Join the team with fewer players (red on a tie); no teams in free-for-all
+        if (!GAME_MODES[this.match.mode].teams) return null;
+        const counts = this.countTeams();
+        return counts.blue < counts.red ? 'blue' : 'red';
+    }
+
+    balanceTeams() {
+        const players = this.players;
+        if (!GAME_MODES[this.match.mode].teams) {
+            for (const id in players) players[id].team = null;
+            return;
+        }
+        // Give everyone a team, then move the most recent joiners off the bigger team until it's even
+        for (const id in players) {
+            if (!players[id].team) players[id].team = this.pickTeam();
+        }
+        const counts = this.countTeams();
+        while (Math.abs(counts.red - counts.blue) > 1) {
+            const from = counts.red > counts.blue ? 'red' : 'blue';
+            const to = from === 'red' ? 'blue' : 'red';
+            const mover = Object.values(players)
+                .filter(p => p.team === from)
+                .sort((a, b) => b.joinTime - a.joinTime)[0];
+            mover.team = to;
+            counts[from]--;
+            counts[to]++;
+            this.log(`Team balance: moved ${mover.name} to ${to}`);
+        }
+    }
+
+    // --- Flag Functions (Capture the Flag) ---
+
+    resetFlags() {
+        this.flags = {};
+        if (this.match.mode !== 'ctf') return;
+        for (const team of TEAMS) {
+            const base = this.map.flagBases[team];
+            this.flags[team] = { team: team, x: base.x, y: 0, z: base.z, state: 'home', carrierId: null, dropTime: 0 };
+        }
+    }
+
+    returnFlag(flag) {
+        const base = this.map.flagBases[flag.team];
+        flag.x = base.x;
+        flag.y = 0;
+        flag.z = base.z;
+        flag.state = 'home';
+        flag.carrierId = null;
+    }
+
+    dropCarriedFlag(playerId) {
+        // Leave any flag the player carries on the ground at their feet
+        for (const team in this.flags) {
+            const flag = this.flags[team];
+            if (flag.state === 'carried' && flag.carrierId === playerId) {
+                const carrier = this.players[playerId];
+                if (carrier) {
+                    flag.x = carrier.x;
+                    flag.z = carrier.z;
+                }
+                flag.y = 0;
+                flag.state = 'dropped';
+                flag.carrierId = null;
+                flag.dropTime = this.clock.now();
+                this.broadcastFlagEvent('dropped', flag, carrier);
+            }
+        }
+    }
+
+    updateFlags(now) {
+        for (const team in this.flags) {
+            const flag = this.flags[team];
+
+            // Carried flags follow their carrier
+            if (flag.state === 'carried') {
+                const carrier = this.players[flag.carrierId];
+                if (!carrier || carrier.health <= 0) {
+                    this.dropCarriedFlag(flag.carrierId);
+                    continue;
+                }
+                flag.x = carrier.x;
+                flag.y = carrier.y - PLAYER_EYE_LEVEL;
+                flag.z = carrier.z;
+
+                // Capture: carrier reaches their own base while their own flag is home
+                const ownFlag = this.flags[carrier.team];
+                const ownBase = this.map.flagBases[carrier.team];
+                if (ownFlag.state === 'home' && Math.hypot(carrier.x - ownBase.x, carrier.z - ownBase.z) < FLAG_TOUCH_RADIUS) {
+                    this.match.teamScores[carrier.team]++;
+                    carrier.captures++;
+                    this.returnFlag(flag);
+                    this.broadcastFlagEvent('captured', flag, carrier);
+                }
+                continue;
+            }
+
+            // Dropped flags go home on their own after a while
+            if (flag.state === 'dropped' && now - flag.dropTime > FLAG_RETURN_TIME) {
+                this.returnFlag(flag);
+                this.broadcastFlagEvent('returned', flag, null);
+                continue;
+            }
+
+            // Touching a flag on the ground: enemies pick it up, teammates return a dropped one
+            for (const id in this.players) {
+                const player = this.players[id];
+                if (player.health <= 0 || !player.team || player.disconnected) continue;
+                if (Math.hypot(player.x - flag.x, player.z - flag.z) >= FLAG_TOUCH_RADIUS) continue;
+
+                if (player.team !== flag.team) {
+                    flag.state = 'carried';
+                    flag.carrierId = id;
+                    this.broadcastFlagEvent('taken', flag, player);
+                    break;
+                } else if (flag.state === 'dropped') {
+                    this.returnFlag(flag);
+                    this.broadcastFlagEvent('returned', flag, player);
+                    break;
+                }
+            }
+        }
+    }
+
+    // --- Pickups ---
+
+    resetPickups() {
+        for (const id in this.pickups) {
+            if (!this.pickups[id].available) this.respawnPickup(this.pickups[id]);
+        }
+    }
+
+    respawnPickup(pickup) {
+        pickup.available = true;
+        this.broadcast({ type: 'pickup_respawned', payload: { id: pickup.id } });
+    }
+
+    updatePickups(now) {
+        for (const id in this.pickups) {
+            const pickup = this.pickups[id];
+            if (!pickup.available) {
+                if (now >= pickup.respawnTime) this.respawnPickup(pickup);
+                continue;
+            }
+
+            // The first living player standing on it who has any use for it takes it
+            for (const playerId in this.players) {
+                const player = this.players[playerId];
+                if (player.health <= 0 || player.disconnected) continue;
+                if (Math.hypot(player.x - pickup.x, player.z - pickup.z) >= PICKUP_RADIUS) continue;
+                if (player.y - PLAYER_EYE_LEVEL >= PICKUP_RADIUS) continue; // Jumping (or standing) over it
+                if (!this.applyPickup(player, pickup.type)) continue;
+
+                const pickupType = PICKUP_TYPES[pickup.type];
+                pickup.available = false;
+                pickup.respawnTime = now + pickupType.respawnTime;
+                this.log(`Player ${player.name} picked up ${pickupType.name}.`);
+                this.broadcast({ type: 'pickup_taken', payload: { id: id, type: pickup.type, playerId: playerId } });
+                break;
+            }
+        }
+    }
+
+    applyPickup(player, type) {
+        // Gives the player what a pickup holds. Returns false, changing nothing, if they can't use it
+        // (full health, full armor or every weapon's reserve already full)
+        const amount = PICKUP_TYPES[type].amount;
+        switch (type) {
+            case 'health':
+                if (player.health >= START_HEALTH) return false;
+                player.health = Math.min(START_HEALTH, player.health + amount); // Sent to everyone in the next snapshot
+                return true;
+            case 'armor':
+                if (player.armor >= MAX_ARMOR) return false;
+                player.armor = Math.min(MAX_ARMOR, player.armor + amount);
+                this.sendArmorUpdate(player.id);
+                return true;
+            case 'ammo': {
+                const refills = Object.keys(WEAPONS).filter(weaponId => player.inventory[weaponId].ammo < WEAPONS[weaponId].reserveAmmo);
+                for (const weaponId of refills) {
+                    const slot = player.inventory[weaponId];
+                    slot.ammo = Math.min(WEAPONS[weaponId].reserveAmmo, slot.ammo + amount * WEAPONS[weaponId].magazineSize);
+                    this.sendAmmoUpdate(player.id, weaponId); // Inventories aren't part of the snapshots
+                }
+                return refills.length > 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    broadcastFlagEvent(event, flag, player) {
+        this.log(`Flag: ${flag.team} flag ${event}${player ? ` by ${player.name}` : ''}`);
+        this.broadcast({
+            type: 'flag_event',
+            payload: { event: event, team: flag.team, playerId: player?.id || null, playerName: player?.name || null }
+        });
+    }
+}
+
+function serializePickup(pickup) {
+    // What clients need to draw a pickup
+    return { id: pickup.id, type: pickup.type, x: pickup.x, z: pickup.z, available: pickup.available };
+}
+
+function createEventBuffer() {
+    return { hits: [], deaths: [], removedProjectiles: [] };
+}
+
+function getInterpolationDelay() {
+    return INTERPOLATION_SNAPSHOTS * 1000 / runtimeSettings.SEND_RATE;
+}
+
+function createSpectator(id, name, role, now) {
+    // The little a spectator needs: chat (role, mute, rate limit), ping and the connection state
+    return {
+        id: id,
+        name: name,
+        team: null, // Chat treats spectators as players without a team
+        role: role === 'admin' ? 'admin' : 'player',
+        muted: false,
+        chatTimes: [],
+        ping: 0,
+        lastUpdateTime: now,
+        round: null, // { kills, deaths, captures, respawnTime } from playing earlier in this round (see Room.setSpectating())
+        disconnected: false, // Connection lost; held until the session expires
+        kicked: false
+    };
+}
+
+function createPendingStats() {
+    return { kills: 0, deaths: 0, shotsFired: 0, hits: 0, bestStreak: 0, matchesPlayed: 0 };
+}
+
+function playerOverlapsBox(x, y, z, box) {
+    // Player collider: a box of PLAYER_RADIUS around the feet-to-head column (matches the client's collider)
+    const r = PLAYER_RADIUS - OBSTACLE_TOLERANCE;
+    const feetY = y - PLAYER_EYE_LEVEL;
+    return x + r > box.minX && x - r < box.maxX &&
+           z + r > box.minZ && z - r < box.maxZ &&
+           feetY + PLAYER_HEIGHT - OBSTACLE_TOLERANCE > box.minY && feetY + OBSTACLE_TOLERANCE < box.maxY;
+}
+
+module.exports = Room;
@@ -0,0 +1,138 @@
+// server/snapshot-codec.js
+// Compact binary encoding of game_state snapshots for clients that ask for it (see decodeSnapshot()
+// in index.html, which must read the same layout). All numbers are little-endian.
+//
+// Layout: u8 format, u32 seq, u32 baseline, f64 server time,
+//   u16 count + { str id, u16 mask, masked PLAYER_FIELDS } ... , u16 count + str removed player ids,
+//   u8 count + { str team, u8 mask, masked FLAG_FIELDS } ... , u8 count + str removed flag teams,
+//   u16 mask + masked MATCH_FIELDS,
+//   u16 count + HIT_FIELDS ..., u16 count + DEATH_FIELDS ..., u16 count + str removed projectile ids
+// Strings are a u8 byte length (255 = null) followed by UTF-8 bytes.
+
+const SNAPSHOT_FORMAT = 2;
+
+const PLAYER_FIELDS = [
+    ['x', 'f32'], ['y', 'f32'], ['z', 'f32'], ['pitch', 'f32'], ['yaw', 'f32'],
+    ['health', 'i16'], ['kills', 'u16'], ['deaths', 'u16'], ['captures', 'u16'], ['ping', 'u16'],
+    ['weapon', 'str'], ['team', 'str'], ['name', 'str'], ['visible', 'bool'], ['inputSeq', 'u32'], ['bot', 'bool']
+];
+const FLAG_FIELDS = [['x', 'f32'], ['y', 'f32'], ['z', 'f32'], ['state', 'str'], ['carrierId', 'str']];
+const MATCH_FIELDS = [
+    ['mode', 'str'], ['modeName', 'str'], ['teams', 'bool'], ['phase', 'str'], ['timeLeft', 'u32'],
+    ['waitingForPlayers', 'bool'], ['scoreLimit', 'u16'], ['redScore', 'u16'], ['blueScore', 'u16']
+];
+const HIT_FIELDS = [
+    ['targetId', 'str'], ['newHealth', 'i16'], ['damage', 'u16'], ['zone', 'str'], ['weapon', 'str'],
+    ['attackerId', 'str'], ['attackerName', 'str']
+];
+const DEATH_FIELDS = [
+    ['victimId', 'str'], ['victimName', 'str'], ['attackerId', 'str'], ['attackerName', 'str'],
+    ['weapon', 'str'], ['zone', 'str']
+];
+
+class SnapshotWriter {
+    constructor(size = 512) {
+        this.buffer = Buffer.allocUnsafe(size);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.length) return;
+        const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+        this.buffer.copy(grown, 0, 0, this.offset);
+        this.buffer = grown;
+    }
+
+    write(type, value) {
+        switch (type) {
+            case 'u8': this.ensure(1); this.buffer.writeUInt8(value, this.offset); this.offset += 1; break;
+            case 'bool': this.write('u8', value ? 1 : 0); break;
+            case 'u16': this.ensure(2); this.buffer.writeUInt16LE(clamp(value, 0, 0xffff), this.offset); this.offset += 2; break;
+            case 'i16': this.ensure(2); this.buffer.writeInt16LE(clamp(value, -0x8000, 0x7fff), this.offset); this.offset += 2; break;
+            case 'u32': this.ensure(4); this.buffer.writeUInt32LE(clamp(value, 0, 0xffffffff), this.offset); this.offset += 4; break;
+            case 'f32': this.ensure(4); this.buffer.writeFloatLE(value, this.offset); this.offset += 4; break;
+            case 'f64': this.ensure(8); this.buffer.writeDoubleLE(value, this.offset); this.offset += 8; break;
+            case 'str': {
+                if (value === null || value === undefined) {
+                    this.write('u8', 255);
+                    break;
+                }
+                let bytes = Buffer.from(String(value), 'utf8');
+                if (bytes.length > 254) bytes = bytes.subarray(0, 254);
+                this.write('u8', bytes.length);
+                this.ensure(bytes.length);
+                bytes.copy(this.buffer, this.offset);
+                this.offset += bytes.length;
+                break;
+            }
+            default:
+                throw new Error(`Unknown snapshot field type "${type}"`);
+        }
+    }
+
+    writeMasked(fields, object, maskType) {
+        // Bit i of the mask says field i is present
+        let mask = 0;
+        fields.forEach(([key], i) => { if (key in object) mask |= 1 << i; });
+        this.write(maskType, mask);
+        fields.forEach(([key, type]) => { if (key in object) this.write(type, object[key]); });
+    }
+
+    writeAll(fields, object) {
+        fields.forEach(([key, type]) => this.write(type, object[key]));
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.offset);
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, Math.round(value || 0)));
+}
+
+function encodeSnapshot(payload) {
+    // payload: the same object that is sent as JSON in a 'game_state' message
+    const writer = new SnapshotWriter();
+    writer.write('u8', SNAPSHOT_FORMAT);
+    writer.write('u32', payload.seq);
+    writer.write('u32', payload.baseline);
+    writer.write('f64', payload.time);
+
+    const players = Object.entries(payload.players || {});
+    writer.write('u16', players.length);
+    for (const [id, fields] of players) {
+        writer.write('str', id);
+        writer.writeMasked(PLAYER_FIELDS, fields, 'u16');
+    }
+    writeStrings(writer, 'u16', payload.removedPlayers);
+
+    const flags = Object.entries(payload.flags || {});
+    writer.write('u8', flags.length);
+    for (const [team, fields] of flags) {
+        writer.write('str', team);
+        writer.writeMasked(FLAG_FIELDS, fields, 'u8');
+    }
+    writeStrings(writer, 'u8', payload.removedFlags);
+
+    writer.writeMasked(MATCH_FIELDS, payload.match || {}, 'u16');
+
+    const hits = payload.hits || [];
+    writer.write('u16', hits.length);
+    hits.forEach(hit => writer.writeAll(HIT_FIELDS, hit));
+    const deaths = payload.deaths || [];
+    writer.write('u16', deaths.length);
+    deaths.forEach(death => writer.writeAll(DEATH_FIELDS, death));
+    writeStrings(writer, 'u16', payload.removedProjectiles);
+
+    return writer.toBuffer();
+}
+
+function writeStrings(writer, countType, list = []) {
+    writer.write(countType, list.length);
+    list.forEach(value => writer.write('str', value));
+}
+
+module.exports = {
+    encodeSnapshot
+};
@@ -0,0 +1,87 @@
+// server/snapshot.js
+// Per-client game_state snapshots: public player fields only, entities filtered by what each client
+// can see, and deltas against the last snapshot the client acknowledged.
+const { PLAYER_EYE_LEVEL, INTEREST_RADIUS, INTEREST_ALWAYS_RADIUS } = require('./config');
+const { hasLineOfSight } = require('./geometry');
+
+// Fields every client gets for every player (scoreboard, kill feed, team colours)
+const ROSTER_FIELDS = ['id', 'name', 'team', 'health', 'weapon', 'kills', 'deaths', 'captures', 'ping', 'bot'];
+// Fields only sent for players inside the viewer's area of interest, with their precision (steps per unit)
+const SPATIAL_FIELDS = { x: 100, y: 100, z: 100, pitch: 1000, yaw: 1000 };
+
+function serializePlayer(player, visible) {
+    // Public snapshot of a player; positions are quantized so tiny jitter doesn't count as a change
+    const state = {};
+    for (const field of ROSTER_FIELDS) {
+        state[field] = player[field];
+    }
+    state.visible = visible;
+    if (visible) {
+        for (const field in SPATIAL_FIELDS) {
+            const scale = SPATIAL_FIELDS[field];
+            state[field] = Math.round(player[field] * scale) / scale;
+        }
+    }
+    return state;
+}
+
+function isInInterest(viewer, target, obstacles) {
+    // Whether 'viewer' should receive 'target's position this snapshot
+    if (viewer.id === target.id) return true;
+    if (viewer.team && viewer.team === target.team) return true; // Teammates are always shown
+    const dx = target.x - viewer.x;
+    const dz = target.z - viewer.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance <= INTEREST_ALWAYS_RADIUS) return true; // Close by: no pop-in when stepping around cover
+    if (distance > INTEREST_RADIUS) return false;
+
+    // Line of sight from the viewer's eye to the target's head or body centre
+    const bodyY = target.y - PLAYER_EYE_LEVEL / 2;
+    return hasLineOfSight(viewer.x, viewer.y, viewer.z, target.x, target.y, target.z, obstacles) ||
+           hasLineOfSight(viewer.x, viewer.y, viewer.z, target.x, bodyY, target.z, obstacles);
+}
+
+function diffEntities(base, current) {
+    // { changed: { [id]: fields that differ from base }, removed: [ids in base but not in current] }
+    const changed = {};
+    const removed = [];
+    for (const id in current) {
+        const fields = diffFields(base?.[id], current[id]);
+        if (fields) changed[id] = fields;
+    }
+    for (const id in base) {
+        if (!(id in current)) removed.push(id);
+    }
+    return { changed: changed, removed: removed };
+}
+
+function diffFields(base, current) {
+    // Fields of 'current' that differ from 'base' (all of them without a base), or null if nothing changed
+    let fields = null;
+    for (const key in current) {
+        if (!base || base[key] !== current[key]) {
+            fields = fields || {};
+            fields[key] = current[key];
+        }
+    }
+    return fields;
+}
+
+function buildDelta(baseView, view) {
+    // Everything the client needs to turn its copy of baseView into view
+    const players = diffEntities(baseView?.players, view.players);
+    const flags = diffEntities(baseView?.flags, view.flags);
+    const delta = { players: players.changed };
+    if (players.removed.length > 0) delta.removedPlayers = players.removed;
+    if (Object.keys(flags.changed).length > 0) delta.flags = flags.changed;
+    if (flags.removed.length > 0) delta.removedFlags = flags.removed;
+    const match = diffFields(baseView?.match, view.match);
+    if (match) delta.match = match;
+    return delta;
+}
+
+module.exports = {
+    serializePlayer,
+    isInInterest,
+    buildDelta
+};
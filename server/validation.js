@@ -0,0 +1,42 @@
+// server/validation.js
+// Basic shape checks for client-supplied vectors, rotations and names
+const { MIN_NAME_LENGTH, MAX_NAME_LENGTH } = require('./config');
+
+const PLAYER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function isValidPosition(pos) {
+     // Check if it's a non-null object with finite number properties x, y, z
+     return typeof pos === 'object' && pos !== null &&
+            typeof pos.x === 'number' && !isNaN(pos.x) && isFinite(pos.x) &&
+            typeof pos.y === 'number' && !isNaN(pos.y) && isFinite(pos.y) &&
+            typeof pos.z === 'number' && !isNaN(pos.z) && isFinite(pos.z);
+ }
+function isValidRotation(rot) {
+     // Check if it's a non-null object with finite number properties pitch, yaw
+     return typeof rot === 'object' && rot !== null &&
+            typeof rot.pitch === 'number' && !isNaN(rot.pitch) && isFinite(rot.pitch) &&
+            typeof rot.yaw === 'number' && !isNaN(rot.yaw) && isFinite(rot.yaw);
+ }
+ function isValidDirection(dir) {
+     // Check if it's a non-null object with finite number properties x, y, z
+     // Optional: Check if it's normalized (length approx 1) for extra safety
+     return typeof dir === 'object' && dir !== null &&
+            typeof dir.x === 'number' && !isNaN(dir.x) && isFinite(dir.x) &&
+            typeof dir.y === 'number' && !isNaN(dir.y) && isFinite(dir.y) &&
+            typeof dir.z === 'number' && !isNaN(dir.z) && isFinite(dir.z);
+            // Optional normalization check:
+            // const lenSq = dir.x*dir.x + dir.y*dir.y + dir.z*dir.z;
+            // return lenSq > 0.9 && lenSq < 1.1;
+ }
+function isValidPlayerName(name) {
+     // Letters, digits, '_' and '-' only: names end up in HTML on other clients
+     return typeof name === 'string' && name.length >= MIN_NAME_LENGTH && name.length <= MAX_NAME_LENGTH &&
+            PLAYER_NAME_PATTERN.test(name);
+ }
+
+module.exports = {
+    isValidPosition,
+    isValidRotation,
+    isValidDirection,
+    isValidPlayerName
+};
@@ -0,0 +1,76 @@
+// server/weapons.js
+// Weapon table and the ammo/damage rules shared by every room
+
+// Every player carries one of each. Damage is per projectile (1 heart = 10 damage) and falls off
+// linearly from falloffStart to falloffEnd, where it reaches minDamageScale of the base damage.
+const WEAPONS = {
+    pistol: {
+        name: 'Pistol', slot: 1, automatic: false, fireInterval: 250, // ms between shots
+        damage: 15, falloffStart: 10, falloffEnd: 30, minDamageScale: 0.5,
+        magazineSize: 12, reserveAmmo: 48, reloadDuration: 1200,
+        projectileSpeed: 60, pellets: 1, spread: 0.01
+    },
+    rifle: {
+        name: 'Rifle', slot: 2, automatic: true, fireInterval: 100,
+        damage: 10, falloffStart: 20, falloffEnd: 50, minDamageScale: 0.6,
+        magazineSize: 30, reserveAmmo: 100, reloadDuration: 2000,
+        projectileSpeed: 50, pellets: 1, spread: 0.015
+    },
+    shotgun: {
+        name: 'Shotgun', slot: 3, automatic: false, fireInterval: 900,
+        damage: 10, falloffStart: 4, falloffEnd: 15, minDamageScale: 0.2,
+        magazineSize: 6, reserveAmmo: 24, reloadDuration: 2500,
+        projectileSpeed: 45, pellets: 8, spread: 0.08
+    },
+    sniper: {
+        name: 'Sniper', slot: 4, automatic: false, fireInterval: 1500,
+        damage: 80, falloffStart: 1000, falloffEnd: 1000, minDamageScale: 1, // No falloff
+        magazineSize: 5, reserveAmmo: 20, reloadDuration: 3000,
+        projectileSpeed: 120, pellets: 1, spread: 0
+    }
+};
+const DEFAULT_WEAPON = 'rifle';
+const FIRE_RATE_TOLERANCE = 0.8; // Accept shots this fraction of the fire interval apart (network jitter)
+
+// --- Weapon Functions ---
+
+function createInventory() {
+    // { [weaponId]: { magazine, ammo } } with every weapon fully loaded
+    const inventory = {};
+    for (const weaponId in WEAPONS) {
+        inventory[weaponId] = { magazine: WEAPONS[weaponId].magazineSize, ammo: WEAPONS[weaponId].reserveAmmo };
+    }
+    return inventory;
+}
+
+function applySpread(direction, spread, random = Math.random) {
+    // Randomly perturb a unit direction within roughly 'spread' radians, then re-normalize
+    if (spread <= 0) return direction;
+    const x = direction.x + (random() * 2 - 1) * spread;
+    const y = direction.y + (random() * 2 - 1) * spread;
+    const z = direction.z + (random() * 2 - 1) * spread;
+    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+    return { x: x / length, y: y / length, z: z / length };
+}
+
+function getProjectileDamage(weaponId, distance) {
+    // Base damage scaled down linearly with distance travelled between falloffStart and falloffEnd
+    const weapon = WEAPONS[weaponId];
+    let scale = 1;
+    if (distance >= weapon.falloffEnd) {
+        scale = weapon.minDamageScale;
+    } else if (distance > weapon.falloffStart) {
+        const t = (distance - weapon.falloffStart) / (weapon.falloffEnd - weapon.falloffStart);
+        scale = 1 - t * (1 - weapon.minDamageScale);
+    }
+    return Math.max(1, Math.round(weapon.damage * scale));
+}
+
+module.exports = {
+    WEAPONS,
+    DEFAULT_WEAPON,
+    FIRE_RATE_TOLERANCE,
+    createInventory,
+    applySpread,
+    getProjectileDamage
+};
@@ -0,0 +1,35 @@
+// test/admin-login.test.js
+// '/login <password>' in chat uses the admin password the server was started with, not the environment's
+process.env.ADMIN_PASSWORD = 'from-env'; // Read by server/config.js, which the requires below load
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/harness');
+
+describe('/login', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    async function joinAndLogin(password) {
+        // A second player (the room's creator is an admin anyway) tries the password; resolves with the reply
+        const creator = await harness.connect();
+        const init = await creator.createRoom();
+        const client = await harness.connect();
+        await client.joinRoom(init.room.id);
+        client.send('chat_message', { text: `/login ${password}` });
+        const notice = await client.waitFor('chat_notice');
+        return { text: notice.text, role: harness.getRoom().players[client.id].role };
+    }
+
+    it('accepts the server\'s admin password', async () => {
+        harness = await startTestServer({ adminPassword: 'test-admin' });
+        assert.deepStrictEqual(await joinAndLogin('test-admin'), { text: 'You are now an admin.', role: 'admin' });
+    });
+
+    it('is disabled when the server has no admin password', async () => {
+        harness = await startTestServer({ adminPassword: null });
+        assert.deepStrictEqual(await joinAndLogin('from-env'), { text: 'Login failed.', role: 'player' });
+    });
+});
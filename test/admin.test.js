@@ -0,0 +1,44 @@
+// test/admin.test.js
+// The admin REST API: authentication and the lockout after too many wrong passwords
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/harness');
+const { ADMIN_LOGIN_ATTEMPTS, ADMIN_LOCKOUT_TIME } = require('../server/config');
+
+const ADMIN_PASSWORD = 'test-admin';
+
+describe('admin API', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestServer({ adminPassword: ADMIN_PASSWORD });
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    async function getStatus(password) {
+        // Resolves with the HTTP status of GET /admin/api/status
+        const response = await fetch(`http://127.0.0.1:${harness.port}/admin/api/status`, {
+            headers: { Authorization: `Bearer ${password}` }
+        });
+        await response.arrayBuffer();
+        return response.status;
+    }
+
+    it('answers requests with the right password', async () => {
+        assert.strictEqual(await getStatus(ADMIN_PASSWORD), 200);
+        assert.strictEqual(await getStatus('wrong'), 401);
+    });
+
+    it('locks an address out after too many wrong passwords, for a while', async () => {
+        for (let attempt = 0; attempt < ADMIN_LOGIN_ATTEMPTS; attempt++) {
+            assert.strictEqual(await getStatus('wrong'), 401);
+        }
+        assert.strictEqual(await getStatus(ADMIN_PASSWORD), 429);
+
+        harness.advance(ADMIN_LOCKOUT_TIME);
+        assert.strictEqual(await getStatus(ADMIN_PASSWORD), 200);
+    });
+});
@@ -0,0 +1,20 @@
+// test/chat.test.js
+// The profanity filter used for chat messages and names
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { filterProfanity, containsProfanity } = require('../server/chat');
+
+describe('profanity filter', () => {
+    it('censors whole words, letter swaps and common endings', () => {
+        assert.strictEqual(filterProfanity('oh shit'), 'oh ****');
+        assert.strictEqual(filterProfanity('SH1T happens'), '**** happens');
+        assert.strictEqual(filterProfanity('you bitches'), 'you *******');
+        assert.strictEqual(filterProfanity('fucking lag'), '******* lag');
+    });
+
+    it('leaves longer words that merely start with one alone', () => {
+        assert.strictEqual(filterProfanity('reading Dickens with shitake soup'), 'reading Dickens with shitake soup');
+        assert.strictEqual(containsProfanity('Dickson'), false);
+        assert.strictEqual(containsProfanity('Scunthorpe'), false);
+    });
+});
@@ -0,0 +1,70 @@
+// test/clock.test.js
+// The ManualClock and the seeded random() the simulation runs on in the tests
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ManualClock } = require('../server/clock');
+const { createRandom } = require('../server/random');
+
+describe('ManualClock', () => {
+    it('only moves when advanced', () => {
+        const clock = new ManualClock(1000);
+        assert.strictEqual(clock.now(), 1000);
+        clock.advance(250);
+        assert.strictEqual(clock.now(), 1250);
+    });
+
+    it('runs timers in due order, at their due time', () => {
+        const clock = new ManualClock();
+        const calls = [];
+        clock.setTimeout(() => calls.push(['b', clock.now()]), 20);
+        clock.setTimeout(() => calls.push(['a', clock.now()]), 10);
+        clock.setTimeout(() => calls.push(['c', clock.now()]), 20); // Same time as 'b': set later, runs later
+        clock.advance(15);
+        assert.deepStrictEqual(calls, [['a', 10]]);
+        clock.advance(15);
+        assert.deepStrictEqual(calls, [['a', 10], ['b', 20], ['c', 20]]);
+    });
+
+    it('repeats intervals until cleared', () => {
+        const clock = new ManualClock();
+        const times = [];
+        const interval = clock.setInterval(() => times.push(clock.now()), 100);
+        clock.advance(350);
+        assert.deepStrictEqual(times, [100, 200, 300]);
+        clock.clearInterval(interval);
+        clock.advance(1000);
+        assert.deepStrictEqual(times, [100, 200, 300]);
+    });
+
+    it('runs timers set by a timer within the same advance', () => {
+        const clock = new ManualClock();
+        const times = [];
+        clock.setTimeout(() => {
+            times.push(clock.now());
+            clock.setTimeout(() => times.push(clock.now()), 50);
+        }, 50);
+        const cancelled = clock.setTimeout(() => times.push('cancelled'), 60);
+        clock.clearTimeout(cancelled);
+        clock.advance(100);
+        assert.deepStrictEqual(times, [50, 100]);
+    });
+});
+
+describe('createRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const c = createRandom(43);
+        const sequence = Array.from({ length: 5 }, () => a());
+        assert.deepStrictEqual(Array.from({ length: 5 }, () => b()), sequence);
+        assert.notDeepStrictEqual(Array.from({ length: 5 }, () => c()), sequence);
+    });
+
+    it('returns numbers in [0, 1)', () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+});
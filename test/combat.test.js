@@ -0,0 +1,138 @@
+// test/combat.test.js
+// Kills, kill credit, reloads interrupted by death and respawns, played out over real connections
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitUntil } = require('./helpers/harness');
+const { WEAPONS } = require('../server/weapons');
+const { runtimeSettings, START_HEALTH, INTERPOLATION_SNAPSHOTS } = require('../server/config');
+
+const HEAD_HEIGHT = 1.88; // Center of the head hitbox for a player standing on the ground
+
+describe('combat', () => {
+    let harness, room, victim, shooter;
+
+    beforeEach(async () => {
+        // Two players 10 units apart on the z axis, facing each other
+        harness = await startTestServer();
+        victim = await harness.connect();
+        const init = await victim.createRoom();
+        shooter = await harness.connect();
+        await shooter.joinRoom(init.room.id);
+        room = harness.getRoom();
+        harness.placePlayer(victim.id, 0, 0, 0);
+        harness.placePlayer(shooter.id, 0, 10, Math.PI);
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    async function killVictim() {
+        // One sniper headshot from the shooter, stepped tick by tick up to the tick the victim dies on
+        shooter.switchWeapon('sniper');
+        await shooter.waitFor('ammo_update', payload => payload.weapon === 'sniper');
+        shooter.shoot({ x: 0, y: HEAD_HEIGHT, z: 9.5 }, { x: 0, y: 0, z: -1 });
+        await waitUntil(() => room.projectiles.some(p => p.ownerId === shooter.id));
+        for (let tick = 0; tick < 5 && room.players[victim.id].health > 0; tick++) {
+            harness.step(); // 10 units at 120 units/s is a little over 2 ticks
+        }
+        assert.strictEqual(room.players[victim.id].health, 0);
+    }
+
+    it('credits the kill to the attacker', async () => {
+        await killVictim();
+
+        assert.strictEqual(room.players[shooter.id].kills, 1);
+        assert.strictEqual(room.players[shooter.id].deaths, 0);
+        assert.strictEqual(room.players[victim.id].deaths, 1);
+        assert.strictEqual(room.players[victim.id].kills, 0);
+
+        // Everyone is told who killed whom in the next snapshot
+        harness.step(2);
+        const snapshot = await victim.waitFor('game_state', payload => payload.deaths);
+        assert.deepStrictEqual(snapshot.deaths.map(({ victimId, attackerId, weapon, zone }) => ({ victimId, attackerId, weapon, zone })), [
+            { victimId: victim.id, attackerId: shooter.id, weapon: 'sniper', zone: 'head' }
+        ]);
+    });
+
+    it('cancels a reload when the player dies', async () => {
+        const rifle = WEAPONS.rifle;
+        victim.shoot({ x: 0, y: 1.6, z: 0 }, { x: 1, y: 0, z: 0 }); // Away from the shooter
+        await victim.waitFor('ammo_update', payload => payload.magazine === rifle.magazineSize - 1);
+        victim.reload();
+        await waitUntil(() => room.players[victim.id].reloading);
+
+        await killVictim();
+        assert.strictEqual(room.players[victim.id].reloading, false);
+
+        // Past the end of the reload, but before the respawn refills everything
+        harness.advance(rifle.reloadDuration);
+        assert.ok(rifle.reloadDuration < runtimeSettings.RESPAWN_TIME);
+        const slot = room.players[victim.id].inventory.rifle;
+        assert.strictEqual(slot.magazine, rifle.magazineSize - 1);
+        assert.strictEqual(slot.ammo, rifle.reserveAmmo);
+        assert.strictEqual(room.players[victim.id].health, 0);
+        assert.deepStrictEqual(victim.received('ammo_update', payload => payload.magazine === rifle.magazineSize), []);
+    });
+
+    it('does not let a cancelled reload finish a later one early', async () => {
+        const rifle = WEAPONS.rifle;
+        victim.shoot({ x: 0, y: 1.6, z: 0 }, { x: 1, y: 0, z: 0 });
+        await victim.waitFor('ammo_update', payload => payload.magazine === rifle.magazineSize - 1);
+        victim.reload();
+        await waitUntil(() => room.players[victim.id].reloading);
+
+        // Switching away cancels it; the second reload starts half a reload later
+        victim.switchWeapon('sniper');
+        await waitUntil(() => room.players[victim.id].weapon === 'sniper');
+        harness.advance(rifle.reloadDuration / 2);
+        victim.switchWeapon('rifle');
+        await waitUntil(() => room.players[victim.id].weapon === 'rifle');
+        victim.reload();
+        await waitUntil(() => room.players[victim.id].reloading);
+
+        harness.advance(rifle.reloadDuration / 2); // When the first reload would have finished
+        assert.strictEqual(room.players[victim.id].reloading, true);
+        assert.strictEqual(room.players[victim.id].inventory.rifle.magazine, rifle.magazineSize - 1);
+
+        harness.advance(rifle.reloadDuration / 2);
+        assert.strictEqual(room.players[victim.id].reloading, false);
+        assert.strictEqual(room.players[victim.id].inventory.rifle.magazine, rifle.magazineSize);
+    });
+
+    it('respawns a dead player after the respawn time', async () => {
+        await killVictim();
+
+        harness.advance(runtimeSettings.RESPAWN_TIME - 1);
+        assert.strictEqual(room.players[victim.id].health, 0);
+        assert.deepStrictEqual(victim.received('player_respawned'), []);
+
+        harness.advance(1);
+        const player = room.players[victim.id];
+        assert.strictEqual(player.health, START_HEALTH);
+        assert.strictEqual(player.inventory.rifle.magazine, WEAPONS.rifle.magazineSize);
+        const respawned = await shooter.waitFor('player_respawned', payload => payload.id === victim.id);
+        assert.strictEqual(respawned.health, START_HEALTH);
+        assert.deepStrictEqual({ x: respawned.x, z: respawned.z }, { x: player.x, z: player.z });
+    });
+
+    it('rewinds hits to what the shooter saw on screen', async () => {
+        // Half the round trip for the snapshot to arrive, plus the client's interpolation buffer
+        room.players[shooter.id].ping = 60;
+        shooter.shoot({ x: 0, y: 1.6, z: 10 }, { x: 1, y: 0, z: 0 });
+        await waitUntil(() => room.projectiles.some(p => p.ownerId === shooter.id));
+        const projectile = room.projectiles.find(p => p.ownerId === shooter.id);
+        assert.strictEqual(projectile.rewindMs, 30 + INTERPOLATION_SNAPSHOTS * 1000 / runtimeSettings.SEND_RATE);
+    });
+
+    it('ignores actions from dead players', async () => {
+        await killVictim();
+        victim.shoot({ x: 0, y: 1.6, z: 0 }, { x: 0, y: 0, z: 1 });
+        victim.reload();
+        // A chat message is still accepted while dead, so it marks the point the other two were processed
+        victim.send('chat_message', { text: 'gg' });
+        await shooter.waitFor('chat_message');
+        assert.strictEqual(room.projectiles.length, 0);
+        assert.strictEqual(room.players[victim.id].reloading, false);
+    });
+});
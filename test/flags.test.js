@@ -0,0 +1,42 @@
+// test/flags.test.js
+// Capture the flag: taking the enemy flag, and what happens to it when its carrier goes away
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitUntil } = require('./helpers/harness');
+
+describe('flags', () => {
+    let harness, room, red, blue;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+        const first = await harness.connect();
+        const init = await first.createRoom({ mode: 'ctf', map: 'ctf' });
+        const second = await harness.connect();
+        await second.joinRoom(init.room.id);
+        room = harness.getRoom();
+        [red, blue] = room.players[first.id].team === 'red' ? [first, second] : [second, first];
+        harness.placePlayer(red.id, 0, 10);
+        harness.placePlayer(blue.id, 0, -10);
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('drops the flag for good when its carrier loses connection', async () => {
+        const base = room.map.flagBases.blue;
+        harness.placePlayer(red.id, base.x, base.z);
+        harness.step();
+        assert.strictEqual(room.flags.blue.state, 'carried');
+        assert.strictEqual(room.flags.blue.carrierId, red.id);
+
+        red.ws.terminate();
+        await waitUntil(() => room.players[red.id].disconnected);
+        assert.strictEqual(room.flags.blue.state, 'dropped');
+
+        // Still standing on it, but nobody's there to pick it up again
+        harness.step(5);
+        assert.strictEqual(room.flags.blue.state, 'dropped');
+        assert.strictEqual(room.flags.blue.carrierId, null);
+    });
+});
@@ -0,0 +1,111 @@
+// test/helpers/fake-client.js
+// A scriptable game client for the tests: a real WebSocket connection that speaks the game protocol.
+// Messages are queued as they arrive and taken out with waitFor(), so a test can send a command and then
+// wait for the reply it expects without losing anything that arrived in between. Pings are answered
+// automatically, like the browser client does.
+const WebSocket = require('ws');
+
+const WAIT_TIMEOUT = 2000; // ms of real time to wait for a message before failing the test
+
+class FakeClient {
+    static connect(url) {
+        // Resolves with the client once the socket is open
+        return new Promise((resolve, reject) => {
+            const client = new FakeClient(url);
+            client.ws.once('open', () => resolve(client));
+            client.ws.once('error', reject);
+        });
+    }
+
+    constructor(url) {
+        this.ws = new WebSocket(url);
+        this.messages = []; // Received and not yet taken by waitFor(), oldest first
+        this.waiters = []; // { type, predicate, resolve, timer } for pending waitFor() calls
+        this.id = null; // Player id and session token, from 'init'
+        this.sessionToken = null;
+        this.closed = new Promise((resolve) => this.ws.once('close', (code, reason) => resolve({ code: code, reason: reason.toString() })));
+
+        this.ws.on('message', (data, isBinary) => {
+            if (isBinary) return; // Only JSON snapshots are requested
+            const message = JSON.parse(data);
+            if (message.type === 'ping') {
+                this.send('pong', { t: message.payload.t });
+            }
+            if (message.type === 'init') {
+                this.id = message.payload.id;
+                this.sessionToken = message.payload.sessionToken;
+            }
+            const waiter = this.waiters.find(w => w.type === message.type && w.predicate(message.payload));
+            if (waiter) {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(message.payload);
+            } else {
+                this.messages.push(message);
+            }
+        });
+    }
+
+    send(type, payload = {}) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: type, payload: payload }));
+        }
+    }
+
+    waitFor(type, predicate = () => true, timeout = WAIT_TIMEOUT) {
+        // Resolves with the payload of the first queued or future message of this type matching predicate
+        const index = this.messages.findIndex(m => m.type === type && predicate(m.payload));
+        if (index !== -1) {
+            return Promise.resolve(this.messages.splice(index, 1)[0].payload);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { type: type, predicate: predicate, resolve: resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(new Error(`Timed out waiting for a '${type}' message`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    received(type, predicate = () => true) {
+        // Queued messages of this type matching predicate (they stay queued)
+        return this.messages.filter(m => m.type === type && predicate(m.payload)).map(m => m.payload);
+    }
+
+    // --- Game Commands ---
+
+    async createRoom(options = {}) {
+        // Creates a room (no bots unless asked for) and resolves with the 'init' payload
+        await this.waitFor('room_list');
+        this.send('create_room', { name: 'Test room', bots: 'off', ...options });
+        return this.waitFor('init');
+    }
+
+    async joinRoom(roomId, password) {
+        await this.waitFor('room_list');
+        this.send('join_room', { roomId: roomId, password: password });
+        return this.waitFor('init');
+    }
+
+    shoot(startPos, direction) {
+        this.send('shoot', { startPos: startPos, direction: direction });
+    }
+
+    reload() {
+        this.send('request_reload');
+    }
+
+    switchWeapon(weaponId) {
+        this.send('switch_weapon', { weapon: weaponId });
+    }
+
+    close() {
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+module.exports = {
+    FakeClient
+};
@@ -0,0 +1,122 @@
+// test/helpers/harness.js
+// Starts a game server for a test: a real WebSocket server on a free local port, but on a ManualClock and a
+// seeded random(), with a flat open map and throwaway profile and ban files. Nothing in the game moves until
+// the test steps the clock, so every tick, timer and random spawn point is the same on every run.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGameServer } = require('../../server/game-server');
+const { ManualClock } = require('../../server/clock');
+const { createRandom } = require('../../server/random');
+const { logger } = require('../../server/logger');
+const { runtimeSettings, PLAYER_EYE_LEVEL } = require('../../server/config');
+const { FakeClient } = require('./fake-client');
+
+const START_TIME = Date.UTC(2024, 0, 1); // Far from 0, so nothing looks like it happened at time 0 (e.g. a last shot)
+const POLL_INTERVAL = 5; // ms of real time between checks in waitUntil()
+const POLL_TIMEOUT = 2000;
+
+// No cover and a spawn point in every corner: tests place players where they need them
+const TEST_MAP = {
+    name: 'Test Flat',
+    bounds: { minX: -20, maxX: 20, minZ: -20, maxZ: 20 },
+    boxes: [],
+    spawnPoints: [{ x: -15, z: -15 }, { x: 15, z: -15 }, { x: -15, z: 15 }, { x: 15, z: 15 }],
+    teamSpawnPoints: null,
+    flagBases: null,
+    pickups: []
+};
+// The same with a flag base for each team, for capture the flag ('ctf' map id)
+const TEST_CTF_MAP = {
+    ...TEST_MAP,
+    name: 'Test Flags',
+    flagBases: { red: { x: -15, z: 0 }, blue: { x: 15, z: 0 } }
+};
+
+async function startTestServer({ seed = 1, adminPassword = null } = {}) {
+    logger.silent = true;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fps-test-'));
+    const clock = new ManualClock(START_TIME);
+    const profilesFile = path.join(directory, 'profiles.json');
+    const gameServer = createGameServer({
+        port: 0, // Any free port
+        clock: clock,
+        random: createRandom(seed),
+        maps: { test: TEST_MAP, ctf: TEST_CTF_MAP },
+        defaultMapId: 'test',
+        profilesFile: profilesFile,
+        bansFile: path.join(directory, 'bans.json'),
+        adminPassword: adminPassword,
+        recordMatches: false
+    });
+    const port = await gameServer.listen();
+    const url = `ws://127.0.0.1:${port}/`;
+    const clients = [];
+
+    return {
+        clock: clock,
+        gameServer: gameServer,
+        port: port,
+        profilesFile: profilesFile,
+
+        async connect() {
+            const client = await FakeClient.connect(url);
+            clients.push(client);
+            return client;
+        },
+
+        step(ticks = 1) {
+            // Run the game for this many ticks of simulated time
+            clock.advance(ticks * 1000 / runtimeSettings.TICK_RATE);
+        },
+
+        advance(ms) {
+            clock.advance(ms);
+        },
+
+        getRoom() {
+            // The only room, or the first one created
+            return gameServer.rooms.values().next().value;
+        },
+
+        placePlayer(playerId, x, z, yaw = 0) {
+            // Put a player somewhere directly (no movement validation) and forget where they were
+            const room = this.getRoom();
+            const player = room.players[playerId];
+            player.x = x;
+            player.y = PLAYER_EYE_LEVEL;
+            player.z = z;
+            player.yaw = yaw;
+            player.lastMoveTime = clock.now();
+            room.positionHistories.delete(playerId);
+        },
+
+        async close() {
+            for (const client of clients) {
+                client.ws.terminate();
+            }
+            await gameServer.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+function waitUntil(predicate, timeout = POLL_TIMEOUT) {
+    // Messages travel over a real socket: poll (in real time) until the server has acted on them
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            if (predicate()) return resolve();
+            if (Date.now() - startedAt > timeout) return reject(new Error('Timed out waiting for the server'));
+            setTimeout(check, POLL_INTERVAL);
+        };
+        check();
+    });
+}
+
+module.exports = {
+    startTestServer,
+    waitUntil,
+    TEST_MAP,
+    TEST_CTF_MAP
+};
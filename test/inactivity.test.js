@@ -0,0 +1,52 @@
+// test/inactivity.test.js
+// Players who stop sending input are disconnected, and don't get their slot held for a reconnect
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitUntil } = require('./helpers/harness');
+const { runtimeSettings } = require('../server/config');
+
+describe('inactivity kick', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('disconnects a player who sends nothing for INACTIVITY_TIMEOUT', async () => {
+        const idle = await harness.connect();
+        await idle.createRoom();
+        const room = harness.getRoom();
+
+        // Pings keep being answered the whole time; pongs don't count as activity
+        harness.advance(runtimeSettings.INACTIVITY_TIMEOUT - 1000);
+        await idle.waitFor('ping');
+        idle.send('list_rooms'); // Handled by the lobby, after the pongs sent before it
+        await idle.waitFor('room_list');
+        harness.step();
+        assert.ok(room.players[idle.id], 'kicked too early');
+
+        harness.advance(2000);
+        await idle.closed;
+        await waitUntil(() => !harness.gameServer.rooms.has(room.id));
+        assert.strictEqual(room.players[idle.id], undefined);
+        assert.strictEqual(harness.gameServer.sessions.has(idle.sessionToken), false);
+    });
+
+    it('keeps a player who keeps acting', async () => {
+        const active = await harness.connect();
+        await active.createRoom();
+        const room = harness.getRoom();
+
+        for (let elapsed = 0; elapsed < runtimeSettings.INACTIVITY_TIMEOUT * 2; elapsed += 5000) {
+            active.switchWeapon(elapsed % 10000 === 0 ? 'pistol' : 'rifle');
+            await active.waitFor('ammo_update');
+            harness.advance(5000);
+        }
+        assert.ok(room.players[active.id]);
+        assert.strictEqual(active.ws.readyState, active.ws.OPEN);
+    });
+});
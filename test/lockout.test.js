@@ -0,0 +1,45 @@
+// test/lockout.test.js
+// The per-address lockout behind admin logins and profile sign-ins
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Lockout } = require('../server/lockout');
+const { ManualClock } = require('../server/clock');
+
+describe('Lockout', () => {
+    function createLockout() {
+        const clock = new ManualClock();
+        return { clock: clock, lockout: new Lockout({ attempts: 3, lockoutTime: 1000, clock: clock }) };
+    }
+
+    it('locks an address out after too many failures, until the lockout time is over', () => {
+        const { clock, lockout } = createLockout();
+        assert.strictEqual(lockout.recordFailure('1.2.3.4'), false);
+        assert.strictEqual(lockout.recordFailure('1.2.3.4'), false);
+        assert.strictEqual(lockout.recordFailure('1.2.3.4'), true);
+        assert.strictEqual(lockout.isLockedOut('1.2.3.4'), true);
+        assert.strictEqual(lockout.isLockedOut('5.6.7.8'), false);
+
+        clock.advance(1000);
+        assert.strictEqual(lockout.isLockedOut('1.2.3.4'), false);
+        assert.strictEqual(lockout.recordFailure('1.2.3.4'), false); // Counting from scratch
+    });
+
+    it('forgets failures on success', () => {
+        const { lockout } = createLockout();
+        lockout.recordFailure('1.2.3.4');
+        lockout.recordFailure('1.2.3.4');
+        lockout.recordSuccess('1.2.3.4');
+        assert.strictEqual(lockout.recordFailure('1.2.3.4'), false);
+    });
+
+    it('only keeps addresses that failed recently', () => {
+        const { clock, lockout } = createLockout();
+        lockout.recordFailure('1.2.3.4');
+        lockout.recordFailure('1.2.3.4');
+        lockout.recordFailure('1.2.3.4'); // Locked out
+        lockout.recordFailure('5.6.7.8');
+        clock.advance(1000);
+        lockout.recordFailure('9.9.9.9');
+        assert.deepStrictEqual([...lockout.failures.keys()], ['9.9.9.9']);
+    });
+});
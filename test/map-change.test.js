@@ -0,0 +1,48 @@
+// test/map-change.test.js
+// Switching a room to another map (admin API) while players are in it
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitUntil, TEST_MAP } = require('./helpers/harness');
+const { PLAYER_EYE_LEVEL } = require('../server/config');
+
+describe('map change', () => {
+    let harness, room, player;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+        player = await harness.connect();
+        await player.createRoom();
+        room = harness.getRoom();
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function move(seq, x, z) {
+        player.send('player_update', {
+            position: { x: x, y: PLAYER_EYE_LEVEL, z: z },
+            rotation: { pitch: 0, yaw: 0 },
+            seq: seq,
+            correctionSeq: 0
+        });
+    }
+
+    it('accepts updates numbered from scratch after the new init', async () => {
+        harness.placePlayer(player.id, 15, 15);
+        harness.advance(100);
+        move(500, 15, 14.5);
+        await waitUntil(() => room.players[player.id].lastInputSeq === 500);
+
+        room.changeMap(TEST_MAP, 'ffa');
+        const init = await player.waitFor('init', payload => payload.mapChanged);
+        assert.ok(init.players[player.id]);
+
+        // The client restarts its counters on 'init'
+        harness.placePlayer(player.id, 15, 15);
+        harness.advance(100);
+        move(1, 15, 14.5);
+        await waitUntil(() => room.players[player.id].lastInputSeq === 1);
+        assert.strictEqual(room.players[player.id].z, 14.5);
+    });
+});
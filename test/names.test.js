@@ -0,0 +1,34 @@
+// test/names.test.js
+// Player names are unique across the server, bots' names included
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/harness');
+
+describe('names', () => {
+    let harness, room, player, botName;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+        player = await harness.connect();
+        await player.createRoom({ bots: 'easy' });
+        room = harness.getRoom();
+        botName = room.players[room.bots.keys().next().value].name;
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('does not let a player take a bot\'s name', async () => {
+        player.send('chat_message', { text: `/name ${botName}` });
+        assert.strictEqual((await player.waitFor('chat_notice')).text, `The name ${botName} is already taken.`);
+        assert.strictEqual(Object.values(room.players).filter(p => p.name === botName).length, 1);
+    });
+
+    it('does not let a profile be registered under a bot\'s name', async () => {
+        const other = await harness.connect();
+        await other.waitFor('room_list');
+        other.send('profile_sign_in', { name: botName, secret: 'secret' });
+        assert.strictEqual((await other.waitFor('profile_error')).reason, 'That name is in use right now');
+    });
+});
@@ -0,0 +1,108 @@
+// test/profiles.test.js
+// Profile sign-in from the lobby: registering, signing in again, and the limit on failed attempts
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startTestServer, waitUntil } = require('./helpers/harness');
+const { PROFILE_SIGN_IN_ATTEMPTS, PROFILE_LOCKOUT_TIME, RECONNECT_GRACE_PERIOD, PROFILE_SAVE_DELAY } = require('../server/config');
+
+const ADMIN_PASSWORD = 'test-admin';
+
+describe('profiles', () => {
+    let harness, client;
+
+    beforeEach(async () => {
+        harness = await startTestServer({ adminPassword: ADMIN_PASSWORD });
+        client = await harness.connect();
+        await client.waitFor('room_list');
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function signIn(secret) {
+        // Resolves with the 'profile_signed_in' payload
+        client.send('profile_sign_in', { name: 'Alice', secret: secret });
+        return client.waitFor('profile_signed_in');
+    }
+
+    async function signInError(secret) {
+        // Resolves with the reason given in 'profile_error'
+        client.send('profile_sign_in', { name: 'Alice', secret: secret });
+        return (await client.waitFor('profile_error')).reason;
+    }
+
+    it('registers unknown names and checks the secret afterwards', async () => {
+        assert.strictEqual((await signIn('right')).created, true);
+        assert.strictEqual(await signInError('wrong'), 'Wrong secret for that profile');
+        assert.strictEqual((await signIn('right')).created, false);
+    });
+
+    it('saves new profiles after the save delay', async () => {
+        await signIn('right');
+        harness.advance(PROFILE_SAVE_DELAY - 1);
+        assert.strictEqual(fs.existsSync(harness.profilesFile), false);
+
+        harness.advance(1);
+        const saved = JSON.parse(fs.readFileSync(harness.profilesFile, 'utf8')).profiles.alice;
+        assert.strictEqual(saved.name, 'Alice');
+        assert.strictEqual(saved.createdAt, harness.clock.now() - PROFILE_SAVE_DELAY);
+    });
+
+    it('locks an address out after too many failed attempts', async () => {
+        await signIn('right'); // A new profile counts as an attempt
+        for (let attempt = 1; attempt < PROFILE_SIGN_IN_ATTEMPTS; attempt++) {
+            assert.strictEqual(await signInError('wrong'), 'Wrong secret for that profile');
+        }
+        assert.strictEqual(await signInError('right'), 'Too many attempts; try again later');
+
+        harness.advance(PROFILE_LOCKOUT_TIME);
+        assert.strictEqual((await signIn('right')).created, false);
+    });
+
+    describe('stats of players who leave', () => {
+        let room;
+
+        beforeEach(async () => {
+            // Signed in, in a round being played, with a shot fired that isn't recorded yet
+            await signIn('right');
+            client.send('create_room', { name: 'Test room', bots: 'off' }); // The room list was taken before signing in
+            await client.waitFor('init');
+            room = harness.getRoom();
+            room.setMatchPhase('playing', harness.clock.now() + 60000);
+            harness.placePlayer(client.id, 0, 0);
+            client.shoot({ x: 0, y: 1.6, z: 0 }, { x: 1, y: 0, z: 0 });
+            await waitUntil(() => room.players[client.id].pendingStats.shotsFired > 0);
+        });
+
+        async function getLeaderboard() {
+            const observer = await harness.connect();
+            observer.send('get_leaderboard', {});
+            return (await observer.waitFor('leaderboard')).entries;
+        }
+
+        it('records them when a dropped player does not come back', async () => {
+            client.ws.terminate();
+            await waitUntil(() => room.players[client.id].disconnected);
+            harness.advance(RECONNECT_GRACE_PERIOD);
+            assert.strictEqual(room.players[client.id], undefined);
+
+            const entries = await getLeaderboard();
+            assert.deepStrictEqual(entries.map(entry => [entry.name, entry.shotsFired]), [['Alice', 1]]);
+        });
+
+        it('records them when a player is kicked by an admin', async () => {
+            const response = await fetch(`http://127.0.0.1:${harness.port}/admin/api/players/${client.id}/kick`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${ADMIN_PASSWORD}` }
+            });
+            assert.strictEqual(response.status, 200);
+            await client.closed;
+            await waitUntil(() => !room.players[client.id]);
+
+            const entries = await getLeaderboard();
+            assert.deepStrictEqual(entries.map(entry => [entry.name, entry.shotsFired]), [['Alice', 1]]);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+// test/requests.test.js
+// HTTP requests and WebSocket upgrades the server can't make sense of must not take it down
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { startTestServer } = require('./helpers/harness');
+
+describe('malformed requests', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function sendRaw(text) {
+        // Writes a raw request and resolves with whatever comes back before the server closes the socket
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(harness.port, '127.0.0.1', () => socket.write(text));
+            let response = '';
+            socket.on('data', (data) => { response += data; });
+            socket.on('close', () => resolve(response));
+            socket.on('error', reject);
+            socket.setTimeout(2000, () => socket.end());
+        });
+    }
+
+    it('answers a request for // with 400', async () => {
+        const response = await sendRaw('GET // HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        assert.match(response, /^HTTP\/1\.1 400 /);
+
+        // Still serving
+        const client = await harness.connect();
+        await client.waitFor('room_list');
+    });
+
+    it('drops a WebSocket upgrade to //', async () => {
+        const response = await sendRaw('GET // HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n' +
+            'Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n');
+        assert.strictEqual(response, '');
+
+        const client = await harness.connect();
+        await client.waitFor('room_list');
+    });
+});
@@ -0,0 +1,92 @@
+// test/spectator.test.js
+// Spectators: watching a room without taking part, and switching between watching and playing
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitUntil } = require('./helpers/harness');
+const { runtimeSettings, START_HEALTH } = require('../server/config');
+
+describe('spectators', () => {
+    let harness, room, player, spectator;
+
+    beforeEach(async () => {
+        harness = await startTestServer();
+        player = await harness.connect();
+        const init = await player.createRoom();
+        spectator = await harness.connect();
+        await spectator.waitFor('room_list');
+        spectator.send('join_room', { roomId: init.room.id, spectate: true });
+        const spectatorInit = await spectator.waitFor('init');
+        assert.strictEqual(spectatorInit.spectator, true);
+        room = harness.getRoom();
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('keeps spectators out of the players', async () => {
+        assert.deepStrictEqual(Object.keys(room.players), [player.id]);
+        assert.ok(room.spectators[spectator.id]);
+        assert.strictEqual(room.getSummary().spectators, 1);
+        assert.strictEqual(room.getSummary().players, 1);
+    });
+
+    it('sends spectators every player, wherever they are', async () => {
+        harness.placePlayer(player.id, 15, 15);
+        harness.step(2);
+        const snapshot = await spectator.waitFor('game_state', payload => payload.players?.[player.id]?.x !== undefined);
+        assert.strictEqual(snapshot.players[player.id].x, 15);
+        assert.strictEqual(snapshot.players[spectator.id], undefined);
+    });
+
+    it('ignores game actions from spectators', async () => {
+        spectator.shoot({ x: 0, y: 1.6, z: 0 }, { x: 0, y: 0, z: 1 });
+        spectator.send('chat_message', { text: 'hi' }); // Marks the point the shot was processed
+        await player.waitFor('chat_message');
+        assert.strictEqual(room.projectiles.length, 0);
+    });
+
+    it('switches between playing and watching', async () => {
+        player.send('set_spectator', { spectating: true });
+        const watching = await player.waitFor('init', payload => payload.spectator);
+        assert.strictEqual(watching.players[player.id], undefined);
+        assert.deepStrictEqual(Object.keys(room.players), []);
+        assert.strictEqual(room.getSpectatorCount(), 2);
+        assert.ok(harness.gameServer.rooms.has(room.id)); // Still being watched, so not closed
+
+        spectator.send('set_spectator', { spectating: false });
+        const playing = await spectator.waitFor('init', payload => !payload.spectator);
+        assert.ok(playing.players[spectator.id]);
+        assert.deepStrictEqual(Object.keys(room.players), [spectator.id]);
+        assert.strictEqual(room.spectators[spectator.id], undefined);
+    });
+
+    it('keeps the round stats and the respawn wait of players who watch for a while', async () => {
+        // Dead, as the hit code leaves a player
+        Object.assign(room.players[player.id], {
+            health: 0, kills: 2, deaths: 1, respawnTime: harness.clock.now() + runtimeSettings.RESPAWN_TIME
+        });
+        player.send('set_spectator', { spectating: true });
+        await player.waitFor('init', payload => payload.spectator);
+
+        player.send('set_spectator', { spectating: false });
+        const notice = await player.waitFor('chat_notice');
+        assert.match(notice.text, /^You can play again in \d+s\.$/);
+        assert.strictEqual(room.players[player.id], undefined);
+
+        harness.advance(runtimeSettings.RESPAWN_TIME);
+        player.send('set_spectator', { spectating: false });
+        await player.waitFor('init', payload => !payload.spectator);
+        const rejoined = room.players[player.id];
+        assert.strictEqual(rejoined.health, START_HEALTH);
+        assert.deepStrictEqual([rejoined.kills, rejoined.deaths], [2, 1]);
+    });
+
+    it('closes the room when the last spectator leaves', async () => {
+        player.send('leave_room');
+        await waitUntil(() => !room.players[player.id]);
+        assert.ok(harness.gameServer.rooms.has(room.id));
+        spectator.send('leave_room');
+        await waitUntil(() => !harness.gameServer.rooms.has(room.id));
+    });
+});